@@ -0,0 +1,69 @@
+const { performance } = require("perf_hooks");
+const { z } = require("zod/v4");
+const { zfn } = require("..");
+
+const ITERATIONS = 1000000;
+const RUNS = 7;
+
+// the maximum cost of a function without schemas, relative to a minimal wrapper. Typical runs
+// measure 4-6x, the headroom keeps the check from failing on a noisy machine.
+const MAX_OVERHEAD_RATIO = 10;
+
+// every function gets its own compiled loop, so each call site only ever sees one function
+function getTimer(fn) {
+  const body = `
+    const start = performance.now();
+    for (let i = 0; i < ${ITERATIONS}; i++) fn(i, i);
+    return ((performance.now() - start) * 1e6) / ${ITERATIONS};
+  `;
+
+  return new Function("fn", "performance", body).bind(null, fn, performance);
+}
+
+// returns the fastest time per call of each function, in nanoseconds. Runs are interleaved, so
+// a slow period of the machine affects every function alike.
+function bench(fns) {
+  const timers = Object.entries(fns).map(([name, fn]) => [name, getTimer(fn)]);
+  const times = Object.fromEntries(timers.map(([name]) => [name, Infinity]));
+
+  for (const [, timer] of timers) timer();
+
+  for (let run = 0; run < RUNS; run++) {
+    for (const [name, timer] of timers) {
+      times[name] = Math.min(times[name], timer());
+    }
+  }
+
+  return times;
+}
+
+const add = (a, b) => a + b;
+
+// the cheapest wrapper forwarding the receiver and arguments, like every zodfn function
+const wrapper = function (...args) {
+  return add.apply(this, args);
+};
+
+const results = bench({
+  "plain function": add,
+  "minimal wrapper": wrapper,
+  "no schemas": zfn.create(add),
+  "validation off": zfn.args(z.number(), z.number()).validation("off").create(add),
+  "two schemas": zfn.args(z.number(), z.number()).create(add),
+});
+
+console.table(
+  Object.fromEntries(
+    Object.entries(results).map(([name, time]) => [name, { "ns per call": +time.toFixed(1) }]),
+  ),
+);
+
+const ratio = results["no schemas"] / results["minimal wrapper"];
+
+if (ratio > MAX_OVERHEAD_RATIO) {
+  console.error(
+    `Functions without schemas take ${ratio.toFixed(1)}x the time of a minimal wrapper, ` +
+      `more than ${MAX_OVERHEAD_RATIO}x`,
+  );
+  process.exitCode = 1;
+}
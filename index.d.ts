@@ -1,6 +1,8 @@
 import type { ZodType as z3ZodType, input as InputV3 } from "zod/v3";
 import type { ZodMiniType as z4ZodMiniType, input as InputV4Mini } from "zod/v4-mini";
 import type { z as ZType, ZodType as z4ZodType, input as InputV4 } from "zod/v4";
+import type { Duplex, Transform } from "node:stream";
+import type { IncomingMessage, ServerResponse } from "node:http";
 
 /**
  * Infers the argument types from a ZodFunction or AsyncZodFunction.
@@ -34,14 +36,273 @@ export type InferReturns<T> = T extends ZodFunction<any, infer R>
   ? R
   : never;
 
+/**
+ * The kind of validation that failed.
+ */
+export type ZodFnErrorKind = "argument" | "return" | "yield" | "chunk";
+
+/**
+ * A single validation issue reported by a ZodFnError.
+ */
+export type ZodFnIssue = {
+  /** Whether an argument, the return value, a yielded value or a stream chunk failed validation. */
+  kind: ZodFnErrorKind;
+  /** The 1-based argument position, `undefined` for return values. */
+  position?: number;
+  /** The parameter name set with `zfn.name()`, if any. */
+  paramName?: string;
+  /** The 0-based index of the invalid yielded value or stream chunk. */
+  index?: number;
+  /** The path to the invalid value inside the argument or return value. */
+  path: PropertyKey[];
+  /** The Zod issue code (e.g. `"invalid_type"`). */
+  code: string;
+  /** The Zod issue message. */
+  message: string;
+};
+
+/**
+ * The outer argument that received a validated callback.
+ */
+export type ZodFnErrorParent = {
+  /** The 1-based position of the outer argument. */
+  position: number;
+  /** The outer function name, if any. */
+  functionName?: string;
+  /** The outer parameter name, if any. */
+  paramName?: string;
+  /** The next outer argument, for nested callbacks. */
+  parent?: ZodFnErrorParent;
+};
+
 /**
  * Default error class for ZodFn errors.
  */
 export declare class ZodFnError extends Error {
-  constructor(message: string);
-  name: "ZodFnError";
+  constructor(
+    message: string,
+    details?: Partial<{
+      kind: ZodFnErrorKind;
+      position: number;
+      functionName: string;
+      paramName: string;
+      index: number;
+      parent: ZodFnErrorParent;
+      issues: ZodFnIssue[];
+      zodError: Error;
+    }>,
+  );
+  name: string;
+  /** Which value failed validation (see `ZodFnErrorKind`). Unset for usage errors. */
+  kind?: ZodFnErrorKind;
+  /** The 1-based position of the failed argument. */
+  position?: number;
+  /** The function name set with `zfn.name()` (or the decorated method name). */
+  functionName?: string;
+  /** The name of the failed parameter, set with `zfn.name()`. */
+  paramName?: string;
+  /** The 0-based index of the invalid yielded value or stream chunk. */
+  index?: number;
+  /** The outer argument that received the callback, when a callback failed validation. */
+  parent?: ZodFnErrorParent;
+  /** Every issue reported by Zod, in order. */
+  issues: ZodFnIssue[];
+  /** The original ZodError, when validation failed. */
+  zodError?: Error;
+}
+
+/**
+ * The error a call rejects with when it exceeds the `zfn.timeout()` duration.
+ */
+export declare class ZodFnTimeoutError extends ZodFnError {
+  constructor(
+    message: string,
+    details?: Partial<{
+      functionName: string;
+      parent: ZodFnErrorParent;
+      timeout: number;
+    }>,
+  );
+  name: "ZodFnTimeoutError";
+  /** The exceeded timeout, in milliseconds. */
+  timeout?: number;
 }
 
+/**
+ * The validation mode of a function:
+ * - `strict`: validate every call and throw on failures (default)
+ * - `warn`: validate every call and report failures through `onWarn`, without throwing
+ * - `sample`: validate a `sampleRate` fraction of calls, in strict mode
+ * - `off`: call the implementation without validation
+ */
+export type ZodFnValidationMode = "strict" | "warn" | "sample" | "off";
+
+/**
+ * Validation options, per function or global.
+ */
+export type ZodFnValidationOptions = {
+  /** The fraction of calls validated in `sample` mode, between 0 and 1. */
+  sampleRate?: number;
+  /** Receives validation errors in `warn` mode. Defaults to `console.warn`. */
+  onWarn?: (error: ZodFnError) => void;
+};
+
+/**
+ * The retry policy of a function, set with `retry()`.
+ */
+export type ZodFnRetryOptions = {
+  /** The total number of attempts, including the first one. Defaults to 3. */
+  attempts?: number;
+  /** The delay before each retry in milliseconds, or a function of the failed attempt. */
+  backoff?: number | ((attempt: number, error: unknown) => number);
+  /** Whether to retry after the given error. Defaults to retrying every error. */
+  retryIf?: (error: unknown, attempt: number) => boolean | Promise<boolean>;
+};
+
+/**
+ * The memoization options of a function, set with `memoize()`.
+ *
+ * @template Args - The argument types as a tuple
+ */
+export type ZodFnMemoizeOptions<Args extends unknown[] = unknown[]> = {
+  /** Computes the cache key from the parsed arguments. Defaults to `JSON.stringify(args)`. */
+  key?: (...args: Args) => unknown;
+  /** How long results are cached, in milliseconds. Defaults to forever. */
+  ttl?: number;
+  /** The maximum number of cached results, the least recently used one is evicted first. */
+  max?: number;
+};
+
+/**
+ * The cache controls of a memoized function.
+ *
+ * @template Args - The argument types as a tuple
+ */
+export type ZodFnCache<Args extends unknown[] = unknown[]> = {
+  /** Removes every cached result. */
+  clear(): void;
+  /** Removes the cached results of the given parsed arguments, returning whether one existed. */
+  delete(...args: Args): boolean;
+  /** The number of cached results, across receivers. */
+  readonly size: number;
+};
+
+/**
+ * The context of a call, shared by the middleware added with `zfn.use()`.
+ *
+ * @template Args - The argument types as a tuple
+ * @template Returns - The return type
+ */
+export type ZodFnMiddlewareContext<Args = unknown[], Returns = unknown> = {
+  /** The function name set with `zfn.name()`, if any. */
+  functionName?: string;
+  /** The arguments as passed by the caller. */
+  rawArgs: unknown[];
+  /** The parsed arguments passed to the implementation, can be replaced. */
+  args: Args;
+  /** Whether a mock implementation will run. */
+  mocked: boolean;
+  /** The 1-based attempt number, above 1 for calls retried with `retry()`. */
+  attempt: number;
+  /** The signal forwarded to async implementations, if any. */
+  signal?: AbortSignal;
+  /** The call result, set by `next()`. Middleware can replace it, or set it to short-circuit. */
+  result: Awaited<Returns> | undefined;
+};
+
+/**
+ * A middleware added with `zfn.use()`. It calls `next()` to run the rest of the chain and the
+ * implementation, or sets `ctx.result` instead to short-circuit.
+ *
+ * @template Args - The argument types as a tuple
+ * @template Returns - The return type
+ */
+export type ZodFnMiddleware<Args = unknown[], Returns = unknown> = (
+  ctx: ZodFnMiddlewareContext<Args, Returns>,
+  next: () => unknown,
+) => unknown;
+
+/**
+ * A JSON Schema (draft 2020-12).
+ */
+export type ZodFnJSONSchema = { [key: string]: unknown };
+
+/**
+ * Options of `zfn.toJSONSchema()` and `zfn.toOpenAPI()`.
+ */
+export type ZodFnJSONSchemaOptions = {
+  /**
+   * Called for every converted schema, to adjust its JSON Schema in place (e.g. to describe
+   * types that JSON Schema can't represent).
+   */
+  override?: (ctx: { zodSchema: ZodType; jsonSchema: ZodFnJSONSchema }) => void;
+};
+
+/**
+ * The JSON Schema description of a function contract, returned by `zfn.toJSONSchema()`.
+ */
+export type ZodFnContractSchema = {
+  /** The arguments as a tuple, or the parameters object in named mode. */
+  parameters: ZodFnJSONSchema;
+  /** The return value, `{}` when there is no return schema. */
+  returns: ZodFnJSONSchema;
+};
+
+/**
+ * An OpenAPI operation object, returned by `zfn.toOpenAPI()`.
+ */
+export type ZodFnOpenAPIOperation = {
+  operationId?: string;
+  summary?: string;
+  description?: string;
+  requestBody: {
+    required: true;
+    content: { "application/json": { schema: ZodFnJSONSchema } };
+  };
+  responses: {
+    [status: string]: {
+      description: string;
+      content?: { "application/json": { schema: ZodFnJSONSchema } };
+    };
+  };
+};
+
+/**
+ * The result of a `safe` call, in the same shape as Zod's `safeParse`.
+ *
+ * @template T - The return type
+ */
+export type ZodFnSafeResult<T> =
+  | { success: true; data: T; error?: never }
+  | { success: false; error: unknown; data?: never };
+
+/**
+ * A call recorded by a function with recording enabled.
+ *
+ * @template Args - The argument types as a tuple
+ * @template Returns - The return type
+ */
+export type ZodFnCall<Args, Returns> = {
+  /** The parsed arguments, `undefined` if argument validation failed. */
+  args: Args | undefined;
+  /** The arguments as received by the function. */
+  rawArgs: unknown[];
+  /** Whether the call is still running, returned a value or threw an error. */
+  status: "pending" | "returned" | "threw";
+  /** The returned value, when the call returned. */
+  result: Returns | undefined;
+  /** The thrown error, when the call threw. */
+  error: unknown;
+  /** Whether the call ran a mock implementation. */
+  mocked: boolean;
+  /** The 1-based attempt number, above 1 for calls retried with `retry()`. */
+  attempt: number;
+  /** The call start time, in milliseconds since the epoch. */
+  startTime: number;
+  /** The call duration in milliseconds, `undefined` while pending. */
+  duration: number | undefined;
+};
+
 /**
  * Zod instance.
  */
@@ -57,17 +318,39 @@ type InputZodType<T extends ZodType> = T extends z3ZodType
   ? InputV4Mini<T>
   : never;
 
-type InputZodTuple<T extends readonly ZodType[]> = {
-  [K in keyof T]: InputZodType<T[K]>;
+/**
+ * A Zod schema or a nested ZodFn builder describing a callback argument.
+ */
+type ZodArgType = ZodType | ZfnBase<any, any, any>;
+
+type InputZodArgType<T extends ZodArgType> = T extends ZodType
+  ? InputZodType<T>
+  : T extends ZfnBase<infer A, infer R, infer Rest>
+  ? (...args: InputZodArgs<A, Rest>) => R
+  : never;
+
+type InputZodTuple<T extends readonly ZodArgType[]> = {
+  [K in keyof T]: InputZodArgType<T[K]>;
 };
 
+/**
+ * Appends the rest argument types (if any) to the positional argument types.
+ */
+type InputZodArgs<Args, Rest extends unknown[]> = Rest extends []
+  ? Args
+  : Args extends unknown[]
+  ? number extends Args["length"]
+    ? Rest
+    : [...Args, ...Rest]
+  : Args;
+
 /**
  * Represents an async function with Zod validation and additional methods.
  *
  * @template Args - The argument types as a tuple
  * @template Returns - The return type
  */
-type AsyncZodFunction<Args, Returns> = ((
+export type AsyncZodFunction<Args, Returns> = ((
   ...args: Args
 ) => Promise<Returns extends Promise<infer T> ? T : Returns>) & {
   /**
@@ -79,7 +362,64 @@ type AsyncZodFunction<Args, Returns> = ((
   mock(fn: (...args: Args) => Returns): AsyncZodFunction<Args, Returns>;
 
   /**
-   * Resets the function to its original implementation.
+   * Queues a mock implementation for the next call only.
+   * Queued mocks run in order, then the current mock or the original implementation runs.
+   *
+   * @param fn - The mock function to use once
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  mockOnce(fn: (...args: Args) => Returns): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Replaces the function implementation with one that returns the given value.
+   *
+   * @param value - The value to return
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  mockReturnValue(value: Returns): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Replaces the function implementation with one that resolves to the given value.
+   *
+   * @param value - The value to resolve
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  mockResolvedValue(value: Awaited<Returns>): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Replaces the function implementation with one that rejects with the given error.
+   *
+   * @param error - The rejection reason
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  mockRejectedValue(error: unknown): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Queues a mock that returns the given value for the next call only.
+   *
+   * @param value - The value to return
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  mockReturnOnce(value: Returns): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Queues a mock that resolves to the given value for the next call only.
+   *
+   * @param value - The value to resolve
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  mockResolvedOnce(value: Awaited<Returns>): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Queues a mock that rejects with the given error for the next call only.
+   *
+   * @param error - The rejection reason
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  mockRejectedOnce(error: unknown): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Resets the function to its original implementation and clears queued mocks.
    *
    * @returns The same AsyncZodFunction instance for chaining
    */
@@ -107,6 +447,137 @@ type AsyncZodFunction<Args, Returns> = ((
    * @returns The same AsyncZodFunction instance for chaining
    */
   onError<E extends Error>(fn: (error: E, args: Args) => Returns): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Calls the implementation again when it throws or its return value fails validation.
+   * `spy` and `onError` only get called after the last attempt.
+   *
+   * @param options - The number of attempts, backoff and retry condition
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  retry(options?: ZodFnRetryOptions): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Sets a hook called with the raw arguments before they are validated.
+   *
+   * @param hook - Receives the raw arguments, and can return replacement arguments
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  beforeValidate(
+    hook: (args: unknown[]) => unknown[] | void | Promise<unknown[] | void>,
+  ): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Sets a hook called with the parsed arguments before the implementation.
+   *
+   * @param hook - Receives the parsed arguments, and can return replacement arguments
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  afterArgs(
+    hook: (args: Args) => Args | void | Promise<Args | void>,
+  ): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Sets a hook called with the return value before it is validated.
+   *
+   * @param hook - Receives the return value and arguments, and can return a replacement value
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  beforeReturn(
+    hook: (ret: unknown, args: Args) => unknown | Promise<unknown>,
+  ): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Sets a handler for argument and return value validation errors, instead of `onError`.
+   * Its return value is returned as is, and it can throw a custom error instead.
+   *
+   * @param fn - Receives the ZodFnError and the arguments (raw for argument errors)
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  onValidationError(
+    fn: (error: ZodFnError, args: unknown[]) => unknown,
+  ): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Caches results by the parsed arguments and receiver, sharing pending calls.
+   * Mocking the function clears the cache.
+   *
+   * @param options - The cache key, time to live and maximum size
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  memoize(options?: ZodFnMemoizeOptions<Args & unknown[]>): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * The cache controls of the memoized function.
+   */
+  readonly cache: ZodFnCache<Args & unknown[]>;
+
+  /**
+   * Starts recording calls, including failed ones.
+   *
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  record(): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Stops recording calls and clears the recorded ones.
+   *
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  resetRecord(): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Clears the recorded calls, keeping recording enabled.
+   *
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  clearCalls(): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * The recorded calls, oldest first.
+   */
+  readonly calls: ZodFnCall<Args, Returns extends Promise<infer T> ? T : Returns>[];
+
+  /**
+   * The most recent recorded call.
+   */
+  readonly lastCall: ZodFnCall<Args, Returns extends Promise<infer T> ? T : Returns> | undefined;
+
+  /**
+   * Adds the function to the global registry, so `zfn.resetAllMocks()`, `zfn.resetAllSpies()`
+   * and `zfn.restoreAll()` reach it.
+   *
+   * @param tags - Optional tags to reset a subset of the registered functions
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  register(...tags: string[]): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Removes the function from the global registry.
+   *
+   * @returns The same AsyncZodFunction instance for chaining
+   */
+  unregister(): AsyncZodFunction<Args, Returns>;
+
+  /**
+   * Calls the function and resolves with a result object instead of rejecting.
+   *
+   * @param args - The function arguments
+   * @returns A promise of `{ success: true, data }` or `{ success: false, error }`
+   */
+  safe(...args: Args): Promise<ZodFnSafeResult<Returns extends Promise<infer T> ? T : Returns>>;
+
+  /**
+   * Returns a caller that forwards the signal to the implementation.
+   * Aborting the signal rejects the call with the abort reason.
+   * Throws for functions with rest arguments, where the signal would join the rest array.
+   *
+   * @param signal - The AbortSignal to forward
+   * @returns A function that calls this function with the signal
+   */
+  withSignal(
+    signal: AbortSignal,
+  ): (...args: Args) => Promise<Returns extends Promise<infer T> ? T : Returns>;
 };
 
 /**
@@ -115,7 +586,7 @@ type AsyncZodFunction<Args, Returns> = ((
  * @template Args - The argument types as a tuple
  * @template Returns - The return type
  */
-type ZodFunction<Args, Returns> = ((...args: Args) => Returns) & {
+export type ZodFunction<Args, Returns> = ((...args: Args) => Returns) & {
   /**
    * Replaces the function implementation with a mock function.
    *
@@ -125,7 +596,64 @@ type ZodFunction<Args, Returns> = ((...args: Args) => Returns) & {
   mock(fn: (...args: Args) => Returns): ZodFunction<Args, Returns>;
 
   /**
-   * Resets the function to its original implementation.
+   * Queues a mock implementation for the next call only.
+   * Queued mocks run in order, then the current mock or the original implementation runs.
+   *
+   * @param fn - The mock function to use once
+   * @returns The same ZodFunction instance for chaining
+   */
+  mockOnce(fn: (...args: Args) => Returns): ZodFunction<Args, Returns>;
+
+  /**
+   * Replaces the function implementation with one that returns the given value.
+   *
+   * @param value - The value to return
+   * @returns The same ZodFunction instance for chaining
+   */
+  mockReturnValue(value: Returns): ZodFunction<Args, Returns>;
+
+  /**
+   * Replaces the function implementation with one that resolves to the given value.
+   *
+   * @param value - The value to resolve
+   * @returns The same ZodFunction instance for chaining
+   */
+  mockResolvedValue(value: Awaited<Returns>): ZodFunction<Args, Returns>;
+
+  /**
+   * Replaces the function implementation with one that rejects with the given error.
+   *
+   * @param error - The rejection reason
+   * @returns The same ZodFunction instance for chaining
+   */
+  mockRejectedValue(error: unknown): ZodFunction<Args, Returns>;
+
+  /**
+   * Queues a mock that returns the given value for the next call only.
+   *
+   * @param value - The value to return
+   * @returns The same ZodFunction instance for chaining
+   */
+  mockReturnOnce(value: Returns): ZodFunction<Args, Returns>;
+
+  /**
+   * Queues a mock that resolves to the given value for the next call only.
+   *
+   * @param value - The value to resolve
+   * @returns The same ZodFunction instance for chaining
+   */
+  mockResolvedOnce(value: Awaited<Returns>): ZodFunction<Args, Returns>;
+
+  /**
+   * Queues a mock that rejects with the given error for the next call only.
+   *
+   * @param error - The rejection reason
+   * @returns The same ZodFunction instance for chaining
+   */
+  mockRejectedOnce(error: unknown): ZodFunction<Args, Returns>;
+
+  /**
+   * Resets the function to its original implementation and clears queued mocks.
    *
    * @returns The same ZodFunction instance for chaining
    */
@@ -153,6 +681,120 @@ type ZodFunction<Args, Returns> = ((...args: Args) => Returns) & {
    * @returns The same ZodFunction instance for chaining
    */
   onError<E extends Error>(fn: (error: E, args: Args) => Returns): ZodFunction<Args, Returns>;
+
+  /**
+   * Calls an async implementation again when it rejects or its return value fails validation.
+   * `spy` and `onError` only get called after the last attempt.
+   *
+   * @param options - The number of attempts, backoff and retry condition
+   * @returns The same ZodFunction instance for chaining
+   */
+  retry(options?: ZodFnRetryOptions): ZodFunction<Args, Returns>;
+
+  /**
+   * Sets a hook called with the raw arguments before they are validated.
+   *
+   * @param hook - Receives the raw arguments, and can return replacement arguments
+   * @returns The same ZodFunction instance for chaining
+   */
+  beforeValidate(hook: (args: unknown[]) => unknown[] | void): ZodFunction<Args, Returns>;
+
+  /**
+   * Sets a hook called with the parsed arguments before the implementation.
+   *
+   * @param hook - Receives the parsed arguments, and can return replacement arguments
+   * @returns The same ZodFunction instance for chaining
+   */
+  afterArgs(hook: (args: Args) => Args | void): ZodFunction<Args, Returns>;
+
+  /**
+   * Sets a hook called with the return value before it is validated.
+   *
+   * @param hook - Receives the return value and arguments, and can return a replacement value
+   * @returns The same ZodFunction instance for chaining
+   */
+  beforeReturn(hook: (ret: unknown, args: Args) => unknown): ZodFunction<Args, Returns>;
+
+  /**
+   * Sets a handler for argument and return value validation errors, instead of `onError`.
+   * Its return value is returned as is, and it can throw a custom error instead.
+   *
+   * @param fn - Receives the ZodFnError and the arguments (raw for argument errors)
+   * @returns The same ZodFunction instance for chaining
+   */
+  onValidationError(
+    fn: (error: ZodFnError, args: unknown[]) => unknown,
+  ): ZodFunction<Args, Returns>;
+
+  /**
+   * Caches results by the parsed arguments and receiver. Mocking the function clears the cache.
+   *
+   * @param options - The cache key, time to live and maximum size
+   * @returns The same ZodFunction instance for chaining
+   */
+  memoize(options?: ZodFnMemoizeOptions<Args & unknown[]>): ZodFunction<Args, Returns>;
+
+  /**
+   * The cache controls of the memoized function.
+   */
+  readonly cache: ZodFnCache<Args & unknown[]>;
+
+  /**
+   * Starts recording calls, including failed ones.
+   *
+   * @returns The same ZodFunction instance for chaining
+   */
+  record(): ZodFunction<Args, Returns>;
+
+  /**
+   * Stops recording calls and clears the recorded ones.
+   *
+   * @returns The same ZodFunction instance for chaining
+   */
+  resetRecord(): ZodFunction<Args, Returns>;
+
+  /**
+   * Clears the recorded calls, keeping recording enabled.
+   *
+   * @returns The same ZodFunction instance for chaining
+   */
+  clearCalls(): ZodFunction<Args, Returns>;
+
+  /**
+   * The recorded calls, oldest first.
+   */
+  readonly calls: ZodFnCall<Args, Returns extends Promise<infer T> ? T : Returns>[];
+
+  /**
+   * The most recent recorded call.
+   */
+  readonly lastCall: ZodFnCall<Args, Returns extends Promise<infer T> ? T : Returns> | undefined;
+
+  /**
+   * Adds the function to the global registry, so `zfn.resetAllMocks()`, `zfn.resetAllSpies()`
+   * and `zfn.restoreAll()` reach it.
+   *
+   * @param tags - Optional tags to reset a subset of the registered functions
+   * @returns The same ZodFunction instance for chaining
+   */
+  register(...tags: string[]): ZodFunction<Args, Returns>;
+
+  /**
+   * Removes the function from the global registry.
+   *
+   * @returns The same ZodFunction instance for chaining
+   */
+  unregister(): ZodFunction<Args, Returns>;
+
+  /**
+   * Calls the function and returns a result object instead of throwing.
+   *
+   * @param args - The function arguments
+   * @returns `{ success: true, data }` or `{ success: false, error }` (as a promise for async implementations)
+   */
+  safe(
+    ...args: Args
+  ): Returns extends Promise<infer T> ? Promise<ZodFnSafeResult<T>> : ZodFnSafeResult<Returns>;
 };
 
 /**
@@ -160,15 +802,33 @@ type ZodFunction<Args, Returns> = ((...args: Args) => Returns) & {
  *
  * @template Args - The argument types as a tuple
  * @template Returns - The return type
+ * @template Rest - The rest argument types as an array
  */
-type ZfnBase<Args, Returns> = {
+type ZfnBase<Args, Returns, Rest extends unknown[] = []> = {
   /**
    * Defines the argument schemas for validation.
    *
-   * @param args - Zod schemas for each function argument
+   * @param args - Zod schemas (or nested builders for callbacks) for each function argument
    * @returns A new builder instance with argument validation configured
    */
-  args<T extends readonly ZodType[]>(...args: T): ZfnBase<InputZodTuple<T>, Returns>;
+  args<T extends readonly ZodArgType[]>(...args: T): ZfnBase<InputZodTuple<T>, Returns, Rest>;
+
+  /**
+   * Defines a single object schema that describes named parameters.
+   * The function takes one object argument and errors are reported by parameter name.
+   *
+   * @param params - Zod object schema for the parameters object
+   * @returns A new builder instance with named parameter validation configured
+   */
+  params<T extends ZodType>(params: T): ZfnBase<[InputZodType<T>], Returns>;
+
+  /**
+   * Defines the schema for every argument after the positional ones.
+   *
+   * @param arg - Zod schema (or nested builder for callbacks) for each rest argument
+   * @returns A new builder instance with rest argument validation configured
+   */
+  rest<T extends ZodArgType>(arg: T): ZfnBase<Args, Returns, InputZodArgType<T>[]>;
 
   /**
    * Defines the return value schema for validation.
@@ -176,7 +836,78 @@ type ZfnBase<Args, Returns> = {
    * @param arg - Zod schema for the return value
    * @returns A new builder instance with return validation configured
    */
-  returns<T extends ZodType>(arg: T): ZfnBase<Args, InputZodType<T>>;
+  returns<T extends ZodType>(arg: T): ZfnBase<Args, InputZodType<T>, Rest>;
+
+  /**
+   * Defines the schema of the values yielded by a returned generator or (async) iterable, and
+   * optionally of its final return value. Values are validated lazily as they are consumed, and
+   * spies and call recording see the completed sequence.
+   *
+   * @param item - Zod schema for each yielded value
+   * @param returns - Zod schema for the final return value
+   * @returns A new builder instance with yield validation configured
+   */
+  yields<T extends ZodType>(
+    item: T,
+  ): ZfnBase<Args, Iterable<InputZodType<T>> | AsyncIterable<InputZodType<T>>, Rest>;
+  yields<T extends ZodType, R extends ZodType>(
+    item: T,
+    returns: R,
+  ): ZfnBase<
+    Args,
+    Iterable<InputZodType<T>, InputZodType<R>> | AsyncIterable<InputZodType<T>, InputZodType<R>>,
+    Rest
+  >;
+
+  /**
+   * Names the function and, optionally, its parameters.
+   * Names are used in error messages and set as the created function's `name`.
+   *
+   * @param name - The function name
+   * @param paramNames - The parameter names, in argument order
+   * @returns A new builder instance with the names configured
+   */
+  name(name: string, paramNames?: string[]): ZfnBase<Args, Returns, Rest>;
+
+  /**
+   * Sets the validation mode of the function, overriding the global mode.
+   *
+   * @param mode - The validation mode
+   * @param options - The sample rate and warning handler
+   * @returns A new builder instance with the validation mode configured
+   */
+  validation(
+    mode: ZodFnValidationMode,
+    options?: ZodFnValidationOptions,
+  ): ZfnBase<Args, Returns, Rest>;
+
+  /**
+   * Rejects calls that pass more arguments than there are argument schemas.
+   *
+   * @returns A new builder instance with strict arity enabled
+   */
+  strict(): ZfnBase<Args, Returns, Rest>;
+
+  /**
+   * Adds a middleware around the implementation. Middleware runs after argument validation and
+   * before return validation, in the order it was added, once per attempt. Async middleware
+   * cannot wrap a synchronous implementation.
+   *
+   * @param middleware - The middleware function
+   * @returns A new builder instance with the middleware added
+   */
+  use(middleware: ZodFnMiddleware<InputZodArgs<Args, Rest>, Returns>): ZfnBase<Args, Returns, Rest>;
+
+  /**
+   * Rejects async calls whose implementation takes longer than the given duration,
+   * and aborts the signal forwarded to the implementation. `create` throws when a
+   * timeout is set, since synchronous calls cannot be interrupted, and `createAsync` throws
+   * when it is combined with rest arguments.
+   *
+   * @param ms - The timeout in milliseconds
+   * @returns A new builder instance with the timeout configured
+   */
+  timeout(ms: number): ZfnBase<Args, Returns, Rest>;
 
   /**
    * Builds validation schemas using a function that receives the Zod instance.
@@ -188,19 +919,45 @@ type ZfnBase<Args, Returns> = {
     fn: (z: Z) => Partial<{ args: [...A]; returns: R }>,
   ): ZfnBase<
     A extends undefined ? Args : InputZodTuple<A>,
-    R extends undefined ? Returns : InputZodType<R>
+    R extends undefined ? Returns : InputZodType<R>,
+    Rest
   >;
 
+  /**
+   * Creates a class method decorator that validates the decorated method.
+   *
+   * @returns A decorator that replaces the method with a ZodFunction
+   */
+  method(): <This, A extends InputZodArgs<Args, Rest>, R extends Returns | Promise<Returns>>(
+    target: (this: This, ...args: A) => R,
+    context: ClassMethodDecoratorContext<This, (this: This, ...args: A) => R>,
+  ) => ZodFunction<A, R>;
+
+  /**
+   * Creates a class method decorator that validates the decorated method with async schemas.
+   *
+   * @returns A decorator that replaces the method with an AsyncZodFunction
+   */
+  methodAsync(): <This, A extends InputZodArgs<Args, Rest>, R extends Returns | Promise<Returns>>(
+    target: (this: This, ...args: A) => R,
+    context: ClassMethodDecoratorContext<This, (this: This, ...args: A) => R>,
+  ) => AsyncZodFunction<A, R>;
+
   /**
    * Creates an async validated function from the provided implementation.
    *
    * @param fn - The async function implementation
    * @returns An AsyncZodFunction with validation and additional methods
    */
-  createAsync<A extends Args, R extends Returns>(fn: (...args: A) => R): AsyncZodFunction<A, R>;
-  createAsync<A extends Args, R extends Promise<Returns>>(
+  createAsync<A extends InputZodArgs<Args, Rest>, R extends Returns>(
+    fn: (...args: A) => R,
+  ): AsyncZodFunction<A, R>;
+  createAsync<A extends InputZodArgs<Args, Rest>, R extends Promise<Returns>>(
     fn: (...args: A) => R,
   ): AsyncZodFunction<A, R>;
+  createAsync<A extends InputZodArgs<Args, Rest>, R extends Returns | Promise<Returns>>(
+    fn: (...args: [...A, signal?: AbortSignal]) => R,
+  ): AsyncZodFunction<A, R>;
 
   /**
    * Creates a synchronous validated function from the provided implementation.
@@ -208,13 +965,399 @@ type ZfnBase<Args, Returns> = {
    * @param fn - The function implementation
    * @returns A ZodFunction with validation and additional methods
    */
-  create<A extends Args, R extends Returns>(fn: (...args: A) => R): ZodFunction<A, R>;
-  create<A extends Args, R extends Promise<Returns>>(fn: (...args: A) => R): ZodFunction<A, R>;
+  create<A extends InputZodArgs<Args, Rest>, R extends Returns>(
+    fn: (...args: A) => R,
+  ): ZodFunction<A, R>;
+  create<A extends InputZodArgs<Args, Rest>, R extends Promise<Returns>>(
+    fn: (...args: A) => R,
+  ): ZodFunction<A, R>;
+};
+
+/**
+ * Maps a tuple of keys and a tuple of argument types to a named parameters object.
+ */
+type NamedParams<K extends readonly string[], A extends readonly unknown[]> = {
+  [I in keyof K & `${number}` as K[I] & string]: A[I & keyof A];
+};
+
+/**
+ * Maps a tuple of keys and a named parameters object to a tuple of argument types.
+ */
+type PositionalArgs<K extends readonly PropertyKey[], P> = {
+  [I in keyof K]: P[K[I] & keyof P];
+};
+
+/**
+ * Helpers to convert between positional and named parameter styles.
+ */
+type ZfnConverters = {
+  /**
+   * Converts a positional function into one that takes a named parameters object.
+   *
+   * @param fn - The positional function
+   * @param keys - The parameter keys, in argument order (defaults to the names set with `zfn.name()`)
+   * @returns A function that takes a named parameters object
+   */
+  toNamed<A extends unknown[], R, const K extends readonly string[]>(
+    fn: (...args: A) => R,
+    keys?: K,
+  ): (params: NamedParams<K, A>) => R;
+
+  /**
+   * Converts a function that takes a named parameters object into a positional one.
+   *
+   * @param fn - The named parameters function
+   * @param keys - The parameter keys, in argument order (defaults to the `zfn.params()` schema keys)
+   * @returns A function that takes positional arguments
+   */
+  toPositional<P, R, const K extends readonly (keyof P & string)[]>(
+    fn: (params: P) => R,
+    keys?: K,
+  ): (...args: PositionalArgs<K, P>) => R;
+
+  /**
+   * Describes the parameters and return value of a builder or function as JSON Schemas.
+   * Supports Zod v3, v4 and v4-mini schemas.
+   *
+   * @param target - The builder or created function
+   * @param options - The override of the converted schemas
+   * @returns The parameters (a tuple, or an object in named mode) and return value schemas
+   */
+  toJSONSchema(target: ZfnContractTarget, options?: ZodFnJSONSchemaOptions): ZodFnContractSchema;
+
+  /**
+   * Describes a builder or function as an OpenAPI operation, with the parameters as the JSON
+   * request body and the return value as the successful response.
+   *
+   * @param target - The builder or created function
+   * @param options - The operation id (defaults to the function name), summary, description and
+   *   override of the converted schemas
+   * @returns An OpenAPI operation object
+   */
+  toOpenAPI(
+    target: ZfnContractTarget,
+    options?: ZodFnJSONSchemaOptions & {
+      operationId?: string;
+      summary?: string;
+      description?: string;
+    },
+  ): ZodFnOpenAPIOperation;
+};
+
+/**
+ * A builder or created function, described by `zfn.toJSONSchema()` and `zfn.toOpenAPI()`.
+ */
+type ZfnContractTarget =
+  | ZfnBase<any, any, any>
+  | ZodFunction<any, any>
+  | AsyncZodFunction<any, any>;
+
+/**
+ * Options of the stream validation helpers.
+ */
+export type ZodFnStreamOptions = {
+  /** The stream name, used in error messages like a function name. */
+  name?: string;
+  /**
+   * What happens to invalid chunks: `"error"` errors the stream (default), `"drop"` skips them,
+   * and a function receives them (e.g. to route them to another stream) before they are skipped.
+   */
+  onInvalid?: "error" | "drop" | ((error: ZodFnError, chunk: unknown) => unknown);
+};
+
+/**
+ * Stream adapters validating every chunk.
+ */
+type ZfnStreams = {
+  /**
+   * Creates a Web TransformStream that validates every chunk.
+   *
+   * @param schema - Zod schema for each chunk
+   * @param options - The stream name and the invalid chunk policy
+   * @returns A TransformStream of the parsed chunks
+   */
+  toTransformStream<T extends ZodType>(
+    schema: T,
+    options?: ZodFnStreamOptions,
+  ): TransformStream<unknown, InputZodType<T>>;
+
+  /**
+   * Creates a Node object mode Transform that validates every chunk.
+   *
+   * @param schema - Zod schema for each chunk
+   * @param options - The stream name and the invalid chunk policy
+   * @returns A Transform of the parsed chunks
+   */
+  toNodeTransform<T extends ZodType>(schema: T, options?: ZodFnStreamOptions): Transform;
+
+  /**
+   * Validates every chunk read from a stream.
+   *
+   * @param stream - A ReadableStream, a TransformStream (its output is validated) or a Node stream
+   * @param schema - Zod schema for each chunk
+   * @param options - The stream name and the invalid chunk policy
+   * @returns The validated stream, of the same kind
+   */
+  validateStream<T extends ZodType>(
+    stream: ReadableStream,
+    schema: T,
+    options?: ZodFnStreamOptions,
+  ): ReadableStream<InputZodType<T>>;
+  validateStream<T extends ZodType, W>(
+    stream: ReadableWritablePair<unknown, W>,
+    schema: T,
+    options?: ZodFnStreamOptions,
+  ): ReadableWritablePair<InputZodType<T>, W>;
+  validateStream<T extends ZodType>(
+    stream: NodeJS.ReadableStream | Duplex,
+    schema: T,
+    options?: ZodFnStreamOptions,
+  ): Duplex;
+};
+
+/**
+ * A Node `http` request, as extended by routers like Express.
+ */
+export type ZodFnRequest = IncomingMessage & {
+  /** Path parameters, set by the router. */
+  params?: Record<string, unknown>;
+  /** Query parameters, parsed from the URL when not set by the router. */
+  query?: Record<string, unknown>;
+  /** The parsed body, read as JSON when not set by a body parser. */
+  body?: unknown;
+};
+
+/**
+ * Options of `zfn.toHandler()`.
+ *
+ * @template Args - The argument types of the function
+ */
+export type ZodFnHandlerOptions<Args extends unknown[] = unknown[]> = {
+  /** Maps a request and its parsed body to the arguments, instead of the default mapping. */
+  args?: (req: ZodFnRequest, body: unknown) => [...Args] | Promise<[...Args]>;
+  /** The maximum size of a request body in bytes, larger bodies respond 413. Defaults to 1 MiB. */
+  maxBodySize?: number;
+};
+
+/**
+ * Request handler adapters.
+ */
+type ZfnHandlers = {
+  /**
+   * Creates a Node `http` or Express request handler calling a validated function. Argument
+   * validation failures (and errors `onValidationError` throws for them) respond 400 with the
+   * issues, bodies over `maxBodySize` respond 413, and other errors respond 500.
+   *
+   * @param fn - The validated function
+   * @param options - How requests map to the arguments, and the maximum body size
+   * @returns The request handler
+   * @throws {ZodFnError} If positional arguments have no parameter names to map them from
+   */
+  toHandler<Args extends unknown[], Returns>(
+    fn: ZodFunction<Args, Returns> | AsyncZodFunction<Args, Returns>,
+    options?: ZodFnHandlerOptions<Args>,
+  ): (req: ZodFnRequest, res: ServerResponse) => Promise<void>;
+};
+
+/**
+ * A set of named operations, each described by a builder.
+ */
+type ZfnContractOperations = { [key: string]: ZfnBase<any, any, any> };
+
+/**
+ * The implementation of every contract operation, as it would be passed to `create()`.
+ */
+type ZfnContractImplementations<T extends ZfnContractOperations> = {
+  [K in keyof T]: InputZodArgType<T[K]> extends (...args: infer A) => infer R
+    ? (...args: A) => R | Promise<R>
+    : never;
+};
+
+/**
+ * The validated functions of an implemented contract, keyed by operation name.
+ */
+type ZfnContractFunctions<
+  T extends ZfnContractOperations,
+  I extends ZfnContractImplementations<T>,
+  Async extends boolean,
+> = {
+  [K in keyof T]: I[K] extends (...args: infer A) => infer R
+    ? Async extends true
+      ? AsyncZodFunction<A, R>
+      : ZodFunction<A, R>
+    : never;
+};
+
+/**
+ * An implemented contract: its validated functions, with one mock and reset surface for all of
+ * them. `mock` and `reset` are not enumerable, so they can't be operation names.
+ */
+type ZfnImplementedContract<Fns> = Fns & {
+  /**
+   * Mocks some of the operations.
+   *
+   * @param mocks - The mock implementations, keyed by operation name
+   * @returns The same object for chaining
+   */
+  mock(mocks: {
+    [K in keyof Fns]?: Fns[K] extends { mock(fn: infer M): unknown } ? M : never;
+  }): ZfnImplementedContract<Fns>;
+
+  /**
+   * Resets the mock, spy and call recording of every operation.
+   *
+   * @returns The same object for chaining
+   */
+  reset(): ZfnImplementedContract<Fns>;
+};
+
+/**
+ * A set of operations, to be implemented as validated functions.
+ *
+ * @template T - The operation builders, keyed by operation name
+ */
+type ZfnContract<T extends ZfnContractOperations> = {
+  /**
+   * The operation builders, keyed by operation name.
+   */
+  operations: T;
+
+  /**
+   * Creates a validated function for every operation. Unnamed operations are named after their key.
+   *
+   * @param implementations - The implementation of every operation, keyed by operation name
+   * @returns The validated functions
+   * @throws {ZodFnError} If an operation is not implemented, or an unknown one is
+   */
+  implement<I extends ZfnContractImplementations<T>>(
+    implementations: I & { [K in Exclude<keyof I, keyof T>]: never },
+  ): ZfnImplementedContract<ZfnContractFunctions<T, I, false>>;
+
+  /**
+   * Creates an async validated function for every operation.
+   * Unnamed operations are named after their key.
+   *
+   * @param implementations - The implementation of every operation, keyed by operation name
+   * @returns The async validated functions
+   * @throws {ZodFnError} If an operation is not implemented, or an unknown one is
+   */
+  implementAsync<I extends ZfnContractImplementations<T>>(
+    implementations: I & { [K in Exclude<keyof I, keyof T>]: never },
+  ): ZfnImplementedContract<ZfnContractFunctions<T, I, true>>;
+};
+
+/**
+ * Contracts describing sets of operations.
+ */
+type ZfnContracts = {
+  /**
+   * Describes a set of operations, to be implemented together.
+   *
+   * @param operations - The operation builders, keyed by operation name
+   * @returns A contract to implement
+   */
+  contract<T extends ZfnContractOperations>(operations: T): ZfnContract<T>;
+};
+
+/**
+ * The keys of the methods of `T`.
+ */
+type MethodKeys<T> = {
+  [K in keyof T]: T[K] extends (...args: any[]) => any ? K : never;
+}[keyof T];
+
+/**
+ * Typed access to decorated methods, whose declared types decorators can't change.
+ */
+type ZfnMethods = {
+  /**
+   * Gets a method decorated with `method()`, typed as a ZodFunction.
+   *
+   * @param target - The object holding the method, usually the class prototype
+   * @param key - The method name
+   * @returns The validated method, to mock, spy or record
+   * @throws {ZodFnError} If the method is not decorated with `method()`
+   */
+  getMethod<T extends object, K extends MethodKeys<T>>(
+    target: T,
+    key: K,
+  ): T[K] extends (...args: infer A) => infer R ? ZodFunction<A, R> : never;
+
+  /**
+   * Gets a method decorated with `methodAsync()`, typed as an AsyncZodFunction.
+   *
+   * @param target - The object holding the method, usually the class prototype
+   * @param key - The method name
+   * @returns The validated method, to mock, spy or record
+   * @throws {ZodFnError} If the method is not decorated with `methodAsync()`
+   */
+  getMethodAsync<T extends object, K extends MethodKeys<T>>(
+    target: T,
+    key: K,
+  ): T[K] extends (...args: infer A) => infer R ? AsyncZodFunction<A, R> : never;
+};
+
+/**
+ * The global configuration.
+ */
+type ZfnConfig = {
+  /**
+   * Sets the global validation mode and options. The mode defaults to the `ZODFN_VALIDATION`
+   * environment variable, and the sample rate to `ZODFN_SAMPLE_RATE`.
+   *
+   * @param options - The validation mode, sample rate and warning handler
+   * @returns The main ZodFn instance for chaining
+   */
+  configure(options: ZodFnValidationOptions & { validation?: ZodFnValidationMode }): Zfn;
+};
+
+/**
+ * The global registry of created functions.
+ */
+type ZfnRegistry = {
+  /**
+   * Registers every function created from now on.
+   *
+   * @param enabled - Whether to register new functions, defaults to `true`
+   * @returns The main ZodFn instance for chaining
+   */
+  registerAll(enabled?: boolean): Zfn;
+
+  /**
+   * Resets the mock of every registered function.
+   *
+   * @param tag - Only reset the functions registered with this tag or name
+   * @returns The main ZodFn instance for chaining
+   */
+  resetAllMocks(tag?: string): Zfn;
+
+  /**
+   * Resets the spy of every registered function.
+   *
+   * @param tag - Only reset the functions registered with this tag or name
+   * @returns The main ZodFn instance for chaining
+   */
+  resetAllSpies(tag?: string): Zfn;
+
+  /**
+   * Resets the mock, spy and call recording of every registered function.
+   *
+   * @param tag - Only reset the functions registered with this tag or name
+   * @returns The main ZodFn instance for chaining
+   */
+  restoreAll(tag?: string): Zfn;
 };
 
 /**
  * The main ZodFn instance.
  */
-type Zfn = ZfnBase<unknown[], unknown>;
+type Zfn = ZfnBase<unknown[], unknown> &
+  ZfnConfig &
+  ZfnRegistry &
+  ZfnConverters &
+  ZfnContracts &
+  ZfnStreams &
+  ZfnHandlers &
+  ZfnMethods;
 
 export declare const zfn: Zfn;
@@ -1,9 +1,26 @@
 const { z } = require("zod/v4");
+const { performance } = require("node:perf_hooks");
 
 class ZodFnError extends Error {
-  constructor(message) {
+  constructor(message, details = {}) {
     super(message);
     this.name = "ZodFnError";
+    this.kind = details.kind;
+    this.position = details.position;
+    this.functionName = details.functionName;
+    this.paramName = details.paramName;
+    this.index = details.index;
+    this.parent = details.parent;
+    this.issues = details.issues ?? [];
+    this.zodError = details.zodError;
+  }
+}
+
+class ZodFnTimeoutError extends ZodFnError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "ZodFnTimeoutError";
+    this.timeout = details.timeout;
   }
 }
 
@@ -16,382 +33,2642 @@ function getOrdinalSuffix(num) {
   return "th";
 }
 
-function argValidation(arg, position, schema, isAsync) {
-  const throwError = (error) => {
-    let json;
-    let errMessage = "";
+function getFunctionLabel(names) {
+  let label = "";
+
+  if (names.functionName) {
+    label += ` of ${names.functionName}`;
+  } else if (names.parent) {
+    label += " of callback";
+  }
+
+  if (names.parent) {
+    const { position, paramName } = names.parent;
+
+    label += ` in ${position}${getOrdinalSuffix(position)} argument`;
+    if (paramName) label += ` (${paramName})`;
+    label += getFunctionLabel(names.parent);
+  }
+
+  return label;
+}
+
+function getErrorPrefix(kind, position, names) {
+  let errMessage;
+
+  if (kind === "argument" && names.named) {
+    errMessage = names.paramName
+      ? `Validation failed for ${names.paramName} parameter`
+      : "Validation failed for parameters";
+  } else if (kind === "yield" || kind === "chunk") {
+    const value = kind === "yield" ? "yielded value" : "chunk";
+    errMessage = `Validation failed for ${value} at index ${names.index}`;
+  } else {
+    errMessage =
+      kind === "argument"
+        ? `Validation failed for ${position}${getOrdinalSuffix(position)} argument`
+        : "Validation failed for return value";
+
+    if (names.paramName) errMessage += ` (${names.paramName})`;
+  }
+
+  return errMessage + getFunctionLabel(names);
+}
+
+function getValidationError(error, kind, position, names = {}) {
+  const { functionName, named, parent, index } = names;
+  let { paramName } = names;
+
+  // errors from nested zodfn functions (e.g. called in a transform) keep their details
+  if (error instanceof ZodFnError) {
+    return error;
+  }
+
+  if (!Array.isArray(error?.issues) || !error.issues.length) {
+    const errMessage = String(error?.message ?? error).replace("parseAsync()", "createAsync()");
+
+    return new ZodFnError(errMessage, { kind, position, functionName, paramName, index, parent });
+  }
+
+  const issues = error.issues.map((issue) => {
+    const path = issue.path ?? [];
+
+    // in named mode, the first path key is the parameter name
+    if (named && kind === "argument" && path.length) {
+      return {
+        kind,
+        position,
+        paramName: String(path[0]),
+        path: path.slice(1),
+        code: issue.code,
+        message: issue.message,
+      };
+    }
+
+    return { kind, position, paramName, index, path, code: issue.code, message: issue.message };
+  });
+
+  if (named && kind === "argument") {
+    paramName = issues[0].paramName;
+  }
+
+  const path = issues[0].path.join(".");
+
+  let errMessage = getErrorPrefix(kind, position, {
+    functionName,
+    paramName,
+    named,
+    index,
+    parent,
+  });
+
+  if (path) errMessage += ` - Path: ${path}`;
+  errMessage += ` - ${issues[0].message}`;
+
+  if (issues.length > 1) {
+    errMessage += ` (and ${issues.length - 1} more issue${issues.length > 2 ? "s" : ""})`;
+  }
+
+  return new ZodFnError(errMessage, {
+    kind,
+    position,
+    functionName,
+    paramName,
+    index,
+    parent,
+    issues,
+    zodError: error,
+  });
+}
+
+function getArityError(received, expected, names) {
+  const message = `Expected at most ${expected} argument${expected === 1 ? "" : "s"}, received ${received}`;
+  const issues = [];
+
+  for (let position = expected + 1; position <= received; position++) {
+    issues.push({ kind: "argument", position, path: [], code: "too_many_arguments", message });
+  }
+
+  const position = expected + 1;
+  const errMessage = `${getErrorPrefix("argument", position, names)} - ${message}`;
+  const { functionName, parent } = names;
+
+  return new ZodFnError(errMessage, { kind: "argument", position, functionName, parent, issues });
+}
+
+function getTimeoutError(timeout, names) {
+  const { functionName, parent } = names;
+  const errMessage = `Call${getFunctionLabel(names)} timed out after ${timeout}ms`;
+
+  return new ZodFnTimeoutError(errMessage, { functionName, parent, timeout });
+}
+
+function getCallSignal(timeout, signal, names) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  let timer;
+
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener("abort", onAbort, { once: true });
+  }
+
+  if (timeout !== undefined && !controller.signal.aborted) {
+    timer = setTimeout(() => controller.abort(getTimeoutError(timeout, names)), timeout);
+  }
+
+  return {
+    signal: controller.signal,
+    clear() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    },
+  };
+}
+
+function raceAbort(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+async function shouldRetry(retry, error, attempt, signal) {
+  if (!retry || attempt >= retry.attempts || signal?.aborted) {
+    return false;
+  }
+
+  return !!(await retry.retryIf(error, attempt));
+}
+
+function getRetryDelay(retry, error, attempt) {
+  const delay = typeof retry.backoff === "function" ? retry.backoff(attempt, error) : retry.backoff;
+
+  return delay > 0 ? new Promise((resolve) => setTimeout(resolve, delay)) : undefined;
+}
+
+/**
+ * Calls `exec` until the implementation returns a valid value or the retry policy gives up.
+ * Resolves with `{ ret }` on success, `{ failed, error }` when the implementation failed on the
+ * last attempt, or `{ invalid, error }` when the return value of the last attempt is invalid.
+ */
+async function execAttempts(builderOpts, record, exec, validate, signal) {
+  for (let attempt = 1; ; attempt++) {
+    let ret;
+    let retryError;
+
+    try {
+      ret = await exec(attempt);
+    } catch (error) {
+      if (!(await shouldRetry(builderOpts.retry, error, attempt, signal))) {
+        return { failed: true, error };
+      }
+
+      retryError = error;
+    }
+
+    if (!retryError) {
+      try {
+        return { ret: await validate(ret) };
+      } catch (error) {
+        if (!(await shouldRetry(builderOpts.retry, error, attempt, signal))) {
+          return { invalid: true, error };
+        }
+
+        retryError = error;
+      }
+    }
+
+    record?.settle("threw", retryError);
+    await getRetryDelay(builderOpts.retry, retryError, attempt);
+    record?.next();
+  }
+}
+
+function getCacheEntries(key, ttl, max) {
+  const entries = new Map();
+
+  return {
+    key,
+    entries,
+    get(cacheKey) {
+      const entry = entries.get(cacheKey);
+
+      if (!entry) {
+        return undefined;
+      }
+
+      if (entry.expires <= Date.now()) {
+        entries.delete(cacheKey);
+        return undefined;
+      }
+
+      // re-insert the entry, so the least recently used one is evicted first
+      entries.delete(cacheKey);
+      entries.set(cacheKey, entry);
+      return entry;
+    },
+    set(cacheKey, value, pending = false) {
+      const entry = { value, expires: pending ? Infinity : Date.now() + ttl };
+
+      entries.delete(cacheKey);
+      entries.set(cacheKey, entry);
+
+      if (entries.size > max) {
+        entries.delete(entries.keys().next().value);
+      }
+
+      return entry;
+    },
+    settle(cacheKey, entry, cacheable) {
+      if (entries.get(cacheKey) !== entry) {
+        return;
+      }
+
+      if (cacheable) {
+        entry.expires = Date.now() + ttl;
+      } else {
+        entries.delete(cacheKey);
+      }
+    },
+  };
+}
+
+/**
+ * Caches results per receiver, so methods don't share results across instances. Calls without an
+ * object receiver share one cache.
+ */
+function getCache(memoOptions) {
+  const { key = (...args) => JSON.stringify(args), ttl = Infinity, max = Infinity } = memoOptions;
+  const shared = getCacheEntries(key, ttl, max);
+  const receivers = new WeakMap();
+
+  // receiver caches are held weakly, and tracked to count, delete and clear results across them
+  const refs = new Set();
+  const finalizer = new FinalizationRegistry((ref) => refs.delete(ref));
+  const getAll = () => [shared, ...[...refs].map((ref) => ref.deref()).filter(Boolean)];
+
+  return {
+    key,
+    of(receiver) {
+      const isObject =
+        (typeof receiver === "object" && receiver !== null) || typeof receiver === "function";
+
+      // plain calls get the global object as receiver in sloppy mode
+      if (!isObject || receiver === globalThis) {
+        return shared;
+      }
+
+      let cache = receivers.get(receiver);
+
+      if (!cache) {
+        cache = getCacheEntries(key, ttl, max);
+        const ref = new WeakRef(cache);
+
+        receivers.set(receiver, cache);
+        refs.add(ref);
+        finalizer.register(cache, ref);
+      }
+
+      return cache;
+    },
+    get size() {
+      return getAll().reduce((size, cache) => size + cache.entries.size, 0);
+    },
+    delete(cacheKey) {
+      let deleted = false;
+
+      for (const cache of getAll()) {
+        if (cache.entries.delete(cacheKey)) deleted = true;
+      }
+
+      return deleted;
+    },
+    clear() {
+      for (const cache of getAll()) {
+        cache.entries.clear();
+      }
+    },
+  };
+}
+
+/**
+ * Caches a pending call, so concurrent calls with the same key share it.
+ * The entry is dropped when the call fails or `isCacheable()` is false once it settles.
+ */
+function cachePromise(cache, cacheKey, promise, isCacheable) {
+  const entry = cache.set(cacheKey, promise, true);
+
+  promise.then(
+    () => cache.settle(cacheKey, entry, isCacheable()),
+    () => cache.settle(cacheKey, entry, false),
+  );
+
+  return promise;
+}
+
+/**
+ * Runs the middleware chain around the implementation and resolves with `ctx.result`.
+ * Each middleware calls `next()` to run the rest of the chain, or sets `ctx.result` to short-circuit.
+ */
+function runMiddleware(middleware, ctx, impl) {
+  const dispatch = (index) => {
+    if (index === middleware.length) {
+      return impl(ctx.args);
+    }
+
+    let called = false;
+
+    const next = () => {
+      if (called) {
+        throw new ZodFnError("Middleware next() called more than once");
+      }
+
+      called = true;
+      const ret = dispatch(index + 1);
+      ctx.result = ret;
+
+      if (ret instanceof Promise) {
+        const resolved = ret.then((value) => (ctx.result = value));
+        resolved.catch(() => {}); // the error is rethrown to the caller, even if next() is not awaited
+        return resolved;
+      }
+
+      return ret;
+    };
+
+    const ret = middleware[index](ctx, next);
+    return ret instanceof Promise ? ret.then(() => ctx.result) : ctx.result;
+  };
+
+  return dispatch(0);
+}
+
+function handleValidationError(builderOpts, error, args) {
+  if (builderOpts.onValidationErrorFn === undefined) {
+    throw error;
+  }
+
+  return builderOpts.onValidationErrorFn(error, args);
+}
+
+// the options of the function whose own argument check threw each error, see zfn.toHandler()
+const argumentErrorOwners = new WeakMap();
+
+function handleArgumentError(builderOpts, error, args) {
+  // errors thrown by onValidationError in place of an argument error are argument errors too
+  const own = (error) => {
+    if (typeof error === "object" && error !== null) {
+      argumentErrorOwners.set(error, builderOpts);
+    }
+
+    return error;
+  };
+
+  let ret;
+
+  try {
+    ret = handleValidationError(builderOpts, own(error), args);
+  } catch (handlerError) {
+    throw own(handlerError);
+  }
+
+  return ret instanceof Promise
+    ? ret.catch((handlerError) => {
+        throw own(handlerError);
+      })
+    : ret;
+}
+
+/**
+ * Calls the implementation of a synchronous function that has nothing to validate, no middleware,
+ * hooks, retries or cache, without the per-call state of a validated call.
+ */
+function callImplementation(builderOpts, receiver, args) {
+  const execFn = builderOpts.execFnQueue.shift() ?? builderOpts.execFn;
+  let ret;
+
+  try {
+    ret = execFn.apply(receiver, args);
+  } catch (error) {
+    ret = handleSyncError(builderOpts, error, args);
+  }
+
+  if (ret instanceof Promise) {
+    return ret.then(
+      (value) => callSpy(builderOpts, args, value),
+      async (error) => callSpy(builderOpts, args, await builderOpts.onErrorFn(error, args)),
+    );
+  }
+
+  callSyncSpy(builderOpts, args, ret);
+  return ret;
+}
+
+function handleSyncError(builderOpts, error, args) {
+  return getSyncResult("onError handler function", builderOpts.onErrorFn(error, args));
+}
+
+async function callSpy(builderOpts, args, ret) {
+  await builderOpts.spyFn(args, ret, ++builderOpts.spyFnCount);
+  return ret;
+}
+
+function callSyncSpy(builderOpts, args, ret) {
+  getSyncResult("Spy handler function", builderOpts.spyFn(args, ret, ++builderOpts.spyFnCount));
+}
+
+function getSyncResult(name, ret) {
+  if (ret instanceof Promise) {
+    ret.catch(() => {}); // avoid unhandled promise rejection
+
+    throw new ZodFnError(`${name} cannot return a promise in a synchronous context`);
+  }
+
+  return ret;
+}
+
+function reportValidationError(error, onWarn) {
+  if (onWarn === undefined) {
+    throw error;
+  }
+
+  onWarn(error);
+}
+
+// the wrapper of each callback per builder, so the implementation always gets the same function
+const callbackWrappers = new WeakMap();
+
+function callbackValidation(arg, position, builder, names, onWarn) {
+  if (typeof arg !== "function") {
+    const { functionName, paramName, parent } = names;
+    const message = `Invalid input: expected function, received ${arg === null ? "null" : typeof arg}`;
+    const issues = [
+      { kind: "argument", position, paramName, path: [], code: "invalid_type", message },
+    ];
+    const errMessage = `${getErrorPrefix("argument", position, names)} - ${message}`;
+
+    const error = new ZodFnError(errMessage, {
+      kind: "argument",
+      position,
+      functionName,
+      paramName,
+      parent,
+      issues,
+    });
+
+    reportValidationError(error, onWarn);
+    return arg;
+  }
+
+  let wrappers = callbackWrappers.get(builder);
+
+  if (!wrappers) {
+    wrappers = new WeakMap();
+    callbackWrappers.set(builder, wrappers);
+  }
+
+  let wrapper = wrappers.get(arg);
+
+  if (!wrapper) {
+    const callbackBuilder = getBuilderInstance(builder);
+
+    callbackBuilder._options.parent = {
+      position,
+      functionName: names.functionName,
+      paramName: names.paramName,
+      parent: names.parent,
+    };
+
+    wrapper = callbackBuilder.create(arg);
+    wrappers.set(arg, wrapper);
+  }
+
+  return wrapper;
+}
+
+function argValidation(arg, position, schema, isAsync, names, onWarn) {
+  if (zfnBuilder.isPrototypeOf(schema)) {
+    return callbackValidation(arg, position, schema, names, onWarn);
+  }
+
+  if (isAsync) {
+    return (async () => {
+      try {
+        return await schema.parseAsync(arg);
+      } catch (error) {
+        reportValidationError(getValidationError(error, "argument", position, names), onWarn);
+        return arg;
+      }
+    })();
+  }
+
+  try {
+    return schema.parse(arg);
+  } catch (error) {
+    reportValidationError(getValidationError(error, "argument", position, names), onWarn);
+    return arg;
+  }
+}
+
+function returnValidation(arg, schema, isAsync, names, onWarn) {
+  if (schema === undefined) {
+    return arg;
+  }
+
+  if (isAsync) {
+    return (async () => {
+      try {
+        return await schema.parseAsync(arg);
+      } catch (error) {
+        reportValidationError(getValidationError(error, "return", undefined, names), onWarn);
+        return arg;
+      }
+    })();
+  }
+
+  try {
+    return schema.parse(arg);
+  } catch (error) {
+    reportValidationError(getValidationError(error, "return", undefined, names), onWarn);
+    return arg;
+  }
+}
+
+const iteratorPrototype = Object.getPrototypeOf(Object.getPrototypeOf([][Symbol.iterator]()));
+const asyncIteratorPrototype = Object.getPrototypeOf(
+  Object.getPrototypeOf(async function* () {}).prototype,
+);
+
+function yieldValidation(item, schema, isAsync, names, onWarn) {
+  if (isAsync) {
+    return (async () => {
+      try {
+        return await schema.parseAsync(item);
+      } catch (error) {
+        reportValidationError(getValidationError(error, "yield", undefined, names), onWarn);
+        return item;
+      }
+    })();
+  }
+
+  try {
+    return schema.parse(item);
+  } catch (error) {
+    reportValidationError(getValidationError(error, "yield", undefined, names), onWarn);
+    return item;
+  }
+}
+
+function getIterableError(value, names) {
+  const { functionName, parent } = names;
+  const received = value === null ? "null" : typeof value;
+  const message = `Invalid input: expected iterable, received ${received}`;
+  const issues = [{ kind: "return", path: [], code: "invalid_type", message }];
+  const errMessage = `${getErrorPrefix("return", undefined, names)} - ${message}`;
+
+  return new ZodFnError(errMessage, { kind: "return", functionName, parent, issues });
+}
+
+/**
+ * Wraps a returned iterable, validating each item as it is consumed and the final return value
+ * once it is done. `onDone` receives the validated items when the sequence completes (or is closed
+ * early), or the error that ended it.
+ */
+function iteratorValidation(iterable, schemas, forceAsync, names, onWarn, onDone) {
+  const isAsync = forceAsync || typeof iterable?.[Symbol.asyncIterator] === "function";
+  const getIterator = iterable?.[Symbol.asyncIterator] ?? iterable?.[Symbol.iterator];
+
+  if (typeof getIterator !== "function") {
+    reportValidationError(getIterableError(iterable, names), onWarn);
+    return iterable;
+  }
+
+  const iterator = getIterator.call(iterable);
+  const items = [];
+  let done = false;
+
+  const then = (value, fn) => (value instanceof Promise ? value.then(fn) : fn(value));
+
+  const finish = (status, value) => {
+    if (done) return undefined;
+
+    done = true;
+    const ret = onDone(status, value);
+
+    return isAsync ? ret : getSyncResult("Spy handler function", ret);
+  };
+
+  const fail = (error) => {
+    // closes the source when one of its values is invalid
+    const closed =
+      error?.kind === "yield" || error?.kind === "return" ? iterator.return?.() : undefined;
+
+    return then(closed, () =>
+      then(finish("threw", error), () => {
+        throw error;
+      }),
+    );
+  };
+
+  const onStep = (step) => {
+    if (step.done) {
+      const ret = returnValidation(step.value, schemas.return, isAsync, names, onWarn);
+
+      return then(ret, (value) => then(finish("returned", items), () => ({ done: true, value })));
+    }
+
+    const itemNames = { ...names, index: items.length };
+    const item = yieldValidation(step.value, schemas.item, isAsync, itemNames, onWarn);
+
+    return then(item, (value) => {
+      items.push(value);
+      return { done: false, value };
+    });
+  };
+
+  const step = (getStep) => {
+    // steps after the end of the sequence are not validated again
+    if (done) {
+      return isAsync ? Promise.resolve(getStep()) : getStep();
+    }
+
+    if (!isAsync) {
+      try {
+        return onStep(getStep());
+      } catch (error) {
+        return fail(error);
+      }
+    }
+
+    return (async () => {
+      try {
+        return await onStep(await getStep());
+      } catch (error) {
+        return fail(error);
+      }
+    })();
+  };
+
+  const wrapper = Object.create(isAsync ? asyncIteratorPrototype : iteratorPrototype);
+
+  wrapper.next = (value) => step(() => iterator.next(value));
+
+  wrapper.return = (value) => {
+    const closed = iterator.return ? iterator.return(value) : { done: true, value };
+
+    // closing the sequence early completes it with the items consumed so far
+    const ret = then(closed, (closedStep) => then(finish("returned", items), () => closedStep));
+
+    return isAsync ? Promise.resolve(ret) : ret;
+  };
+
+  wrapper.throw = (error) =>
+    step(() => {
+      if (iterator.throw) return iterator.throw(error);
+      throw error;
+    });
+
+  return wrapper;
+}
+
+const validationModes = ["strict", "warn", "sample", "off"];
+
+function isSampleRate(sampleRate) {
+  return typeof sampleRate === "number" && sampleRate >= 0 && sampleRate <= 1;
+}
+
+function getEnv(name) {
+  return typeof process === "undefined" ? undefined : process.env?.[name];
+}
+
+const envValidation = getEnv("ZODFN_VALIDATION");
+const envSampleRate = parseFloat(getEnv("ZODFN_SAMPLE_RATE"));
+
+const config = {
+  validation: validationModes.includes(envValidation) ? envValidation : "strict",
+  sampleRate: isSampleRate(envSampleRate) ? envSampleRate : 1,
+  onWarn: (error) => console.warn(error),
+};
+
+function getValidationMode(options) {
+  const mode = options.validation ?? config.validation;
+
+  if (mode === "sample") {
+    return Math.random() < (options.sampleRate ?? config.sampleRate) ? "strict" : "off";
+  }
+
+  return mode;
+}
+
+// functions are held weakly, so registering them does not keep them alive
+const registry = {
+  entries: new Set(),
+  entriesByFn: new WeakMap(),
+  finalizer: new FinalizationRegistry((entry) => registry.entries.delete(entry)),
+  registerAll: false,
+};
+
+function getRegisteredFns(tag) {
+  const fns = [];
+
+  for (const { ref, tags } of registry.entries) {
+    const fn = ref.deref();
+
+    if (fn && (tag === undefined || tags.has(tag) || fn.name === tag)) {
+      fns.push(fn);
+    }
+  }
+
+  return fns;
+}
+
+// the call options of each created function
+const execOptions = new WeakMap();
+
+function getExecFn(ogFn, builder, fnBuilder, isAsync = false) {
+  const options = {
+    execFn: ogFn,
+    execFnQueue: [],
+    spyFn: (_args, _ret) => {},
+    spyFnCount: 0,
+    onErrorFn: (err, _args) => {
+      throw err;
+    },
+    onValidationErrorFn: undefined,
+    beforeValidateFn: undefined,
+    afterArgsFn: undefined,
+    beforeReturnFn: undefined,
+    calls: undefined,
+    retry: undefined,
+    cache: undefined,
+  };
+
+  const invokeFn = fnBuilder(options);
+
+  const startCall = (record, rawArgs, attempt) => {
+    const call = {
+      args: record.call?.args,
+      rawArgs,
+      status: "pending",
+      result: undefined,
+      error: undefined,
+      mocked: options.execFnQueue.length > 0 || options.execFn !== ogFn,
+      attempt,
+      startTime: Date.now(),
+      duration: undefined,
+    };
+
+    const startTime = performance.now();
+    options.calls?.push(call);
+
+    record.call = call;
+    record.settle = (status, value) => {
+      call.status = status;
+      call.duration = performance.now() - startTime;
+
+      if (status === "returned") {
+        call.result = value;
+      } else {
+        call.error = value;
+      }
+    };
+  };
+
+  const callFn = function (args, signal) {
+    if (options.calls === undefined) {
+      return invokeFn.call(this, args, undefined, signal);
+    }
+
+    // retried attempts are recorded as separate calls, see record.next()
+    const record = {
+      call: undefined,
+      settle: undefined,
+      next: () => startCall(record, record.call.rawArgs, record.call.attempt + 1),
+      // calls returning validated iterables settle once the sequence completes
+      deferred: false,
+    };
+
+    startCall(record, args.slice(), 1);
+
+    let ret;
+
+    try {
+      ret = invokeFn.call(this, args, record, signal);
+    } catch (error) {
+      record.settle("threw", error);
+      throw error;
+    }
+
+    if (ret instanceof Promise) {
+      return ret.then(
+        (value) => {
+          if (!record.deferred) record.settle("returned", value);
+          return value;
+        },
+        (error) => {
+          record.settle("threw", error);
+          throw error;
+        },
+      );
+    }
+
+    if (!record.deferred) record.settle("returned", ret);
+    return ret;
+  };
+
+  const resFn = function (...args) {
+    return callFn.call(this, args);
+  };
+
+  if (isAsync) {
+    resFn.withSignal = (signal) => {
+      if (signal === undefined) {
+        throw new ZodFnError("Abort signal not provided");
+      }
+
+      if (!(signal instanceof AbortSignal)) {
+        throw new ZodFnError("Abort signal must be an AbortSignal");
+      }
+
+      // the signal is appended to the arguments, so it would end up in the rest array
+      if (builder._schemas.rest) {
+        throw new ZodFnError("Abort signal cannot be used with rest arguments");
+      }
+
+      return function (...args) {
+        return callFn.call(this, args, signal);
+      };
+    };
+  }
+
+  resFn.mock = (_mock) => {
+    if (_mock === undefined) {
+      throw new ZodFnError("Mock function argument not provided");
+    }
+
+    if (typeof _mock !== "function") {
+      throw new ZodFnError("Mock argument must be a function");
+    }
+
+    options.execFn = _mock;
+    options.cache?.clear();
+    return resFn;
+  };
+
+  resFn.mockOnce = (_mock) => {
+    if (_mock === undefined) {
+      throw new ZodFnError("Mock function argument not provided");
+    }
+
+    if (typeof _mock !== "function") {
+      throw new ZodFnError("Mock argument must be a function");
+    }
+
+    options.execFnQueue.push(_mock);
+    options.cache?.clear();
+    return resFn;
+  };
+
+  resFn.mockReturnValue = (value) => resFn.mock(() => value);
+  resFn.mockResolvedValue = (value) => resFn.mock(() => Promise.resolve(value));
+  resFn.mockRejectedValue = (error) => resFn.mock(() => Promise.reject(error));
+
+  resFn.mockReturnOnce = (value) => resFn.mockOnce(() => value);
+  resFn.mockResolvedOnce = (value) => resFn.mockOnce(() => Promise.resolve(value));
+  resFn.mockRejectedOnce = (error) => resFn.mockOnce(() => Promise.reject(error));
+
+  resFn.resetMock = () => {
+    options.execFn = ogFn;
+    options.execFnQueue = [];
+    options.cache?.clear();
+    return resFn;
+  };
+
+  resFn.spy = (_spy) => {
+    if (_spy === undefined) {
+      throw new ZodFnError("Spy handler function not provided");
+    }
+
+    if (typeof _spy !== "function") {
+      throw new ZodFnError("Spy handler must be a function");
+    }
+
+    options.spyFnCount = 0;
+    options.spyFn = _spy;
+    return resFn;
+  };
+
+  resFn.resetSpy = () => {
+    options.spyFnCount = 0;
+    options.spyFn = (_args, _ret) => {};
+    return resFn;
+  };
+
+  resFn.onError = (_onError) => {
+    if (_onError === undefined) {
+      throw new ZodFnError("onError handler function not provided");
+    }
+
+    if (typeof _onError !== "function") {
+      throw new ZodFnError("onError handler must be a function");
+    }
+
+    options.onErrorFn = _onError;
+    return resFn;
+  };
+
+  const hooks = {
+    onValidationError: "onValidationErrorFn",
+    beforeValidate: "beforeValidateFn",
+    afterArgs: "afterArgsFn",
+    beforeReturn: "beforeReturnFn",
+  };
+
+  for (const [hookName, optionName] of Object.entries(hooks)) {
+    resFn[hookName] = (hook) => {
+      if (hook === undefined) {
+        throw new ZodFnError(`${hookName} hook function not provided`);
+      }
+
+      if (typeof hook !== "function") {
+        throw new ZodFnError(`${hookName} hook must be a function`);
+      }
+
+      options[optionName] = hook;
+      return resFn;
+    };
+  }
+
+  resFn.retry = (retryOptions = {}) => {
+    const { attempts = 3, backoff = 0, retryIf = () => true } = retryOptions;
+
+    if (!Number.isInteger(attempts) || attempts < 1) {
+      throw new ZodFnError("Retry attempts must be a positive integer");
+    }
+
+    if (typeof backoff !== "function" && (typeof backoff !== "number" || backoff < 0)) {
+      throw new ZodFnError("Retry backoff must be a non-negative number or a function");
+    }
+
+    if (typeof retryIf !== "function") {
+      throw new ZodFnError("Retry condition must be a function");
+    }
+
+    options.retry = { attempts, backoff, retryIf };
+    return resFn;
+  };
+
+  resFn.memoize = (memoOptions = {}) => {
+    const { key, ttl, max } = memoOptions;
+
+    if (builder._schemas.yield) {
+      throw new ZodFnError("Memoize cannot be used with yields");
+    }
+
+    if (key !== undefined && typeof key !== "function") {
+      throw new ZodFnError("Memoize key must be a function");
+    }
+
+    if (ttl !== undefined && (typeof ttl !== "number" || !(ttl > 0))) {
+      throw new ZodFnError("Memoize ttl must be a positive number of milliseconds");
+    }
+
+    if (max !== undefined && (!Number.isInteger(max) || max < 1)) {
+      throw new ZodFnError("Memoize max must be a positive integer");
+    }
+
+    options.cache = getCache(memoOptions);
+    return resFn;
+  };
+
+  resFn.cache = {
+    clear: () => {
+      options.cache?.clear();
+    },
+    delete: (...args) => options.cache?.delete(options.cache.key(...args)) ?? false,
+    get size() {
+      return options.cache?.size ?? 0;
+    },
+  };
+
+  resFn.record = () => {
+    if (options.calls === undefined) {
+      options.calls = [];
+    }
+
+    return resFn;
+  };
+
+  resFn.resetRecord = () => {
+    options.calls = undefined;
+    return resFn;
+  };
+
+  resFn.clearCalls = () => {
+    if (options.calls !== undefined) {
+      options.calls = [];
+    }
+
+    return resFn;
+  };
+
+  Object.defineProperties(resFn, {
+    calls: {
+      get: () => options.calls ?? [],
+    },
+    lastCall: {
+      get: () => options.calls?.[options.calls.length - 1],
+    },
+  });
+
+  resFn.safe = function (...args) {
+    let data;
+
+    try {
+      data = resFn.apply(this, args);
+    } catch (error) {
+      return { success: false, error };
+    }
+
+    if (data instanceof Promise) {
+      return data.then(
+        (data) => ({ success: true, data }),
+        (error) => ({ success: false, error }),
+      );
+    }
+
+    return { success: true, data };
+  };
+
+  resFn.register = (...tags) => {
+    let entry = registry.entriesByFn.get(resFn);
+
+    if (!entry) {
+      entry = { ref: new WeakRef(resFn), tags: new Set() };
+      registry.entries.add(entry);
+      registry.entriesByFn.set(resFn, entry);
+      registry.finalizer.register(resFn, entry, entry);
+    }
+
+    for (const tag of tags) {
+      entry.tags.add(tag);
+    }
+
+    return resFn;
+  };
+
+  resFn.unregister = () => {
+    const entry = registry.entriesByFn.get(resFn);
+
+    if (entry) {
+      registry.entries.delete(entry);
+      registry.entriesByFn.delete(resFn);
+      registry.finalizer.unregister(entry);
+    }
+
+    return resFn;
+  };
+
+  resFn._schemas = builder._schemas;
+  resFn._options = builder._options;
+  execOptions.set(resFn, options);
+
+  Object.defineProperty(resFn, "name", {
+    value: builder._options.name ?? ogFn.name,
+    configurable: true,
+  });
+
+  // callback wrappers are created on every call, so they are never registered
+  if (registry.registerAll && !builder._options.parent) {
+    resFn.register();
+  }
+
+  return resFn;
+}
+
+function getBuilderInstance(obj) {
+  const newInstance = Object.create(zfnBuilder);
+
+  newInstance._schemas = {
+    args: [],
+    rest: undefined,
+    return: undefined,
+    yield: undefined,
+    yieldReturn: undefined,
+    ...obj._schemas,
+  };
+
+  newInstance._options = {
+    strict: false,
+    name: undefined,
+    paramNames: [],
+    named: false,
+    parent: undefined,
+    validation: undefined,
+    sampleRate: undefined,
+    onWarn: undefined,
+    timeout: undefined,
+    middleware: [],
+    ...obj._options,
+  };
+
+  return newInstance;
+}
+
+const zfnBuilder = {
+  args(...argSchemas) {
+    const builder = getBuilderInstance(this);
+
+    if (!argSchemas.length) {
+      throw new ZodFnError("Argument schemas not provided");
+    }
+
+    for (let i = 0; i < argSchemas.length; i++) {
+      const schema = argSchemas[i];
+
+      if (typeof schema?.parseAsync !== "function" && !zfnBuilder.isPrototypeOf(schema)) {
+        throw new ZodFnError(
+          `${i + 1}${getOrdinalSuffix(i + 1)} argument must be a valid Zod schema`,
+        );
+      }
+    }
+
+    builder._schemas.args = argSchemas;
+    builder._options.named = false;
+    return builder;
+  },
+
+  params(paramsSchema) {
+    const builder = getBuilderInstance(this);
+
+    if (paramsSchema === undefined) {
+      throw new ZodFnError("Parameters schema not provided");
+    }
+
+    if (typeof paramsSchema?.parseAsync !== "function" || typeof paramsSchema.shape !== "object") {
+      throw new ZodFnError("Parameters schema must be a Zod object schema");
+    }
+
+    builder._schemas.args = [paramsSchema];
+    builder._schemas.rest = undefined;
+    builder._options.named = true;
+    return builder;
+  },
+
+  rest(restSchema) {
+    const builder = getBuilderInstance(this);
+
+    if (restSchema === undefined) {
+      throw new ZodFnError("Rest schema not provided");
+    }
+
+    if (typeof restSchema?.parseAsync !== "function" && !zfnBuilder.isPrototypeOf(restSchema)) {
+      throw new ZodFnError("Rest argument must be a valid Zod schema");
+    }
+
+    if (builder._options.named) {
+      throw new ZodFnError("Rest schema cannot be used with named parameters");
+    }
+
+    builder._schemas.rest = restSchema;
+    return builder;
+  },
+
+  returns(returnSchema) {
+    const builder = getBuilderInstance(this);
+
+    if (returnSchema === undefined) {
+      throw new ZodFnError("Return schema not provided");
+    }
+
+    if (
+      typeof returnSchema?.parseAsync !== "function" &&
+      typeof returnSchema?.parseAsync !== "function"
+    ) {
+      throw new ZodFnError("Return value must be a valid Zod schema");
+    }
+
+    if (builder._schemas.yield) {
+      throw new ZodFnError("Return schema cannot be used with yields");
+    }
+
+    builder._schemas.return = returnSchema;
+    return builder;
+  },
+
+  yields(itemSchema, returnSchema) {
+    const builder = getBuilderInstance(this);
+
+    if (itemSchema === undefined) {
+      throw new ZodFnError("Yield schema not provided");
+    }
+
+    if (typeof itemSchema?.parseAsync !== "function") {
+      throw new ZodFnError("Yield schema must be a valid Zod schema");
+    }
+
+    if (returnSchema !== undefined && typeof returnSchema?.parseAsync !== "function") {
+      throw new ZodFnError("Yield return schema must be a valid Zod schema");
+    }
+
+    if (builder._schemas.return) {
+      throw new ZodFnError("Yield schema cannot be used with returns");
+    }
+
+    builder._schemas.yield = itemSchema;
+    builder._schemas.yieldReturn = returnSchema;
+    return builder;
+  },
+
+  name(functionName, paramNames) {
+    const builder = getBuilderInstance(this);
+
+    if (functionName === undefined) {
+      throw new ZodFnError("Function name not provided");
+    }
+
+    if (typeof functionName !== "string") {
+      throw new ZodFnError("Function name must be a string");
+    }
+
+    if (
+      paramNames !== undefined &&
+      (!Array.isArray(paramNames) || paramNames.some((name) => typeof name !== "string"))
+    ) {
+      throw new ZodFnError("Parameter names must be an array of strings");
+    }
+
+    builder._options.name = functionName;
+    if (paramNames) builder._options.paramNames = paramNames;
+    return builder;
+  },
+
+  validation(mode, options = {}) {
+    const builder = getBuilderInstance(this);
+
+    if (mode === undefined) {
+      throw new ZodFnError("Validation mode not provided");
+    }
+
+    if (!validationModes.includes(mode)) {
+      throw new ZodFnError(`Validation mode must be one of: ${validationModes.join(", ")}`);
+    }
+
+    if (options.sampleRate !== undefined && !isSampleRate(options.sampleRate)) {
+      throw new ZodFnError("Sample rate must be a number between 0 and 1");
+    }
+
+    if (options.onWarn !== undefined && typeof options.onWarn !== "function") {
+      throw new ZodFnError("onWarn handler must be a function");
+    }
+
+    builder._options.validation = mode;
+    if (options.sampleRate !== undefined) builder._options.sampleRate = options.sampleRate;
+    if (options.onWarn !== undefined) builder._options.onWarn = options.onWarn;
+    return builder;
+  },
+
+  strict() {
+    const builder = getBuilderInstance(this);
+
+    builder._options.strict = true;
+    return builder;
+  },
+
+  use(middleware) {
+    const builder = getBuilderInstance(this);
+
+    if (middleware === undefined) {
+      throw new ZodFnError("Middleware function not provided");
+    }
+
+    if (typeof middleware !== "function") {
+      throw new ZodFnError("Middleware must be a function");
+    }
+
+    builder._options.middleware = [...builder._options.middleware, middleware];
+    return builder;
+  },
+
+  timeout(ms) {
+    const builder = getBuilderInstance(this);
+
+    if (ms === undefined) {
+      throw new ZodFnError("Timeout not provided");
+    }
+
+    if (typeof ms !== "number" || !Number.isFinite(ms) || ms <= 0) {
+      throw new ZodFnError("Timeout must be a positive number of milliseconds");
+    }
+
+    builder._options.timeout = ms;
+    return builder;
+  },
+
+  build(_buildFn) {
+    let builder = getBuilderInstance(this);
+
+    if (_buildFn === undefined) {
+      throw new ZodFnError("Build function argument not provided");
+    }
+
+    if (typeof _buildFn !== "function") {
+      throw new ZodFnError("Build argument must be a function");
+    }
+
+    const result = _buildFn(z);
+
+    if (typeof result !== "object" || result === null) {
+      throw new ZodFnError("Build function return value is not valid");
+    }
+
+    if (result.args) builder = builder.args(...result.args);
+    if (result.returns) builder = builder.returns(result.returns);
+
+    return builder;
+  },
+
+  create(fn) {
+    if (fn === undefined) {
+      throw new ZodFnError("Create function not provided");
+    }
+
+    if (typeof fn !== "function") {
+      throw new ZodFnError("Create argument must be a function");
+    }
+
+    const builder = getBuilderInstance(this);
+
+    // a synchronous call cannot be interrupted, so a timeout would be silently ignored
+    if (builder._options.timeout !== undefined) {
+      throw new ZodFnError("Timeout can only be used with createAsync");
+    }
+
+    const {
+      args: argSchemas,
+      rest: restSchema,
+      return: returnSchema,
+      yield: yieldSchema,
+      yieldReturn: yieldReturnSchema,
+    } = builder._schemas;
+    const { name: functionName, paramNames, named, parent, strict, middleware } = builder._options;
+    const hasValidation =
+      argSchemas.length > 0 || !!restSchema || !!returnSchema || !!yieldSchema || strict;
+    const returnNames = { functionName, parent };
+    const argNames = argSchemas.map((_, i) => ({
+      functionName,
+      paramName: paramNames[i],
+      named,
+      parent,
+    }));
+
+    return getExecFn(
+      fn,
+      builder,
+      (builderOpts) =>
+        function (args, record) {
+          // fast path: functions without schemas skip validation entirely
+          const mode = hasValidation ? getValidationMode(builder._options) : "off";
+
+          const isPlainCall =
+            mode === "off" &&
+            !middleware.length &&
+            !builderOpts.beforeValidateFn &&
+            !builderOpts.afterArgsFn &&
+            !builderOpts.beforeReturnFn &&
+            !builderOpts.retry &&
+            !builderOpts.cache;
+
+          if (isPlainCall) {
+            if (record) record.call.args = args;
+            return callImplementation(builderOpts, this, args);
+          }
+
+          const onWarn = mode === "warn" ? (builder._options.onWarn ?? config.onWarn) : undefined;
+          const validReturnSchema = mode === "off" ? undefined : returnSchema;
+
+          const rawArgs =
+            middleware.length || builderOpts.onValidationErrorFn ? args.slice() : undefined;
+
+          if (builderOpts.beforeValidateFn) {
+            const hookRet = builderOpts.beforeValidateFn(args);
+            args = [...(getSyncResult("beforeValidate hook", hookRet) ?? args)];
+          }
+
+          // args is a fresh array (from the wrapper's rest parameter), so it is parsed in place
+          let parsedArgs = args;
+
+          if (mode !== "off") {
+            try {
+              if (strict && !restSchema && args.length > argSchemas.length) {
+                reportValidationError(
+                  getArityError(args.length, argSchemas.length, returnNames),
+                  onWarn,
+                );
+              }
+
+              const argsLength = restSchema
+                ? Math.max(args.length, argSchemas.length)
+                : argSchemas.length;
+
+              for (let i = 0; i < argsLength; i++) {
+                const schema = i < argSchemas.length ? argSchemas[i] : restSchema;
+                const names = argNames[i] ?? returnNames;
+
+                parsedArgs[i] = argValidation(args[i], i + 1, schema, false, names, onWarn);
+              }
+            } catch (error) {
+              const handlerRet = handleArgumentError(builderOpts, error, rawArgs);
+              return getSyncResult("onValidationError hook", handlerRet);
+            }
+          }
+
+          if (builderOpts.afterArgsFn) {
+            const hookRet = builderOpts.afterArgsFn(parsedArgs);
+            parsedArgs = getSyncResult("afterArgs hook", hookRet) ?? parsedArgs;
+          }
+
+          if (record) record.call.args = parsedArgs;
+
+          const cache = builderOpts.cache?.of(this);
+          const cacheKey = cache ? cache.key(...parsedArgs) : undefined;
+          const cached = cache?.get(cacheKey);
+
+          if (cached) {
+            return cached.value;
+          }
+
+          let ret;
+          let failed = false;
+
+          const exec = (attempt) => {
+            const execFn = builderOpts.execFnQueue.shift() ?? builderOpts.execFn;
+
+            if (!middleware.length) {
+              return execFn.apply(this, parsedArgs);
+            }
+
+            const ctx = {
+              functionName,
+              rawArgs,
+              args: parsedArgs.slice(),
+              mocked: execFn !== fn,
+              attempt,
+              signal: undefined,
+              result: undefined,
+            };
+
+            let isAsyncImplementation = false;
+
+            const ret = runMiddleware(middleware, ctx, (args) => {
+              const implRet = execFn.apply(this, args);
+              isAsyncImplementation = implRet instanceof Promise;
+              return implRet;
+            });
+
+            // async middleware would turn the result of a synchronous implementation into a promise
+            return isAsyncImplementation ? ret : getSyncResult("Middleware", ret);
+          };
+
+          // returned iterables are validated as they are consumed, see iteratorValidation()
+          let iterating = false;
+
+          const onDone = (status, value) => {
+            record?.settle(status, value);
+
+            if (status === "returned") {
+              builderOpts.spyFnCount++;
+              return builderOpts.spyFn(parsedArgs, value, builderOpts.spyFnCount);
+            }
+          };
+
+          const validate = (ret) => {
+            if (builderOpts.beforeReturnFn) {
+              const hookRet = builderOpts.beforeReturnFn(ret, parsedArgs);
+              ret = getSyncResult("beforeReturn hook", hookRet) ?? ret;
+            }
+
+            if (yieldSchema && mode !== "off") {
+              const yieldSchemas = { item: yieldSchema, return: yieldReturnSchema };
+              ret = iteratorValidation(ret, yieldSchemas, false, returnNames, onWarn, onDone);
+              iterating = true;
+              if (record) record.deferred = true;
+              return ret;
+            }
+
+            return returnValidation(ret, validReturnSchema, false, returnNames, onWarn);
+          };
+
+          try {
+            ret = exec(1);
+
+            if (ret instanceof Promise) {
+              const firstRet = ret;
+
+              // retries only apply to async implementations
+              const execAttempt = (attempt) => (attempt === 1 ? firstRet : exec(attempt));
+
+              const promise = (async () => {
+                const result = await execAttempts(builderOpts, record, execAttempt, validate);
+                ret = result.ret;
+
+                if (result.invalid) {
+                  failed = true;
+                  return handleValidationError(builderOpts, result.error, parsedArgs);
+                }
+
+                if (result.failed) {
+                  failed = true;
+                  ret = await builderOpts.onErrorFn(result.error, parsedArgs);
+
+                  try {
+                    ret = validate(ret);
+                  } catch (error) {
+                    return handleValidationError(builderOpts, error, parsedArgs);
+                  }
+                }
+
+                return iterating ? ret : callSpy(builderOpts, parsedArgs, ret);
+              })();
+
+              return cache ? cachePromise(cache, cacheKey, promise, () => !failed) : promise;
+            }
+          } catch (error) {
+            failed = true;
+            ret = handleSyncError(builderOpts, error, parsedArgs);
+          }
+
+          try {
+            ret = validate(ret);
+          } catch (error) {
+            const handlerRet = handleValidationError(builderOpts, error, parsedArgs);
+            return getSyncResult("onValidationError hook", handlerRet);
+          }
+
+          if (!iterating) {
+            callSyncSpy(builderOpts, parsedArgs, ret);
+          }
+
+          // onError values are not cached
+          if (cache && !failed) {
+            cache.set(cacheKey, ret);
+          }
+
+          return ret;
+        },
+    );
+  },
+
+  method() {
+    const builder = getBuilderInstance(this);
+
+    return (target, context) => {
+      if (context?.kind !== "method") {
+        throw new ZodFnError("Method decorator can only be applied to class methods");
+      }
+
+      const methodBuilder = builder._options.name ? builder : builder.name(String(context.name));
+
+      return methodBuilder.create(target);
+    };
+  },
+
+  methodAsync() {
+    const builder = getBuilderInstance(this);
+
+    return (target, context) => {
+      if (context?.kind !== "method") {
+        throw new ZodFnError("Method decorator can only be applied to class methods");
+      }
+
+      const methodBuilder = builder._options.name ? builder : builder.name(String(context.name));
+
+      return methodBuilder.createAsync(target);
+    };
+  },
+
+  createAsync(fn) {
+    if (fn === undefined) {
+      throw new ZodFnError("Create function not provided");
+    }
+
+    if (typeof fn !== "function") {
+      throw new ZodFnError("Create argument must be a function");
+    }
+
+    const builder = getBuilderInstance(this);
+    const {
+      args: argSchemas,
+      rest: restSchema,
+      return: returnSchema,
+      yield: yieldSchema,
+      yieldReturn: yieldReturnSchema,
+    } = builder._schemas;
+    const {
+      name: functionName,
+      paramNames,
+      named,
+      parent,
+      strict,
+      timeout,
+      middleware,
+    } = builder._options;
+
+    if (timeout !== undefined && restSchema) {
+      throw new ZodFnError("Timeout cannot be used with rest arguments");
+    }
+
+    const hasValidation =
+      argSchemas.length > 0 || !!restSchema || !!returnSchema || !!yieldSchema || strict;
+    const returnNames = { functionName, parent };
+    const argNames = argSchemas.map((_, i) => ({
+      functionName,
+      paramName: paramNames[i],
+      named,
+      parent,
+    }));
+
+    return getExecFn(
+      fn,
+      builder,
+      (builderOpts) =>
+        async function (args, record, signal) {
+          // functions without schemas skip the validation mode lookup
+          const mode = hasValidation ? getValidationMode(builder._options) : "off";
+          const onWarn = mode === "warn" ? (builder._options.onWarn ?? config.onWarn) : undefined;
+          const validReturnSchema = mode === "off" ? undefined : returnSchema;
+
+          const rawArgs =
+            middleware.length || builderOpts.onValidationErrorFn ? args.slice() : undefined;
+
+          if (builderOpts.beforeValidateFn) {
+            args = [...((await builderOpts.beforeValidateFn(args)) ?? args)];
+          }
+
+          // args is a fresh array (from the wrapper's rest parameter), so it is parsed in place
+          let parsedArgs = args;
+
+          if (mode !== "off") {
+            try {
+              if (strict && !restSchema && args.length > argSchemas.length) {
+                reportValidationError(
+                  getArityError(args.length, argSchemas.length, returnNames),
+                  onWarn,
+                );
+              }
+
+              const argsLength = restSchema
+                ? Math.max(args.length, argSchemas.length)
+                : argSchemas.length;
+
+              for (let i = 0; i < argsLength; i++) {
+                const schema = i < argSchemas.length ? argSchemas[i] : restSchema;
+                const names = argNames[i] ?? returnNames;
+
+                parsedArgs[i] = await argValidation(args[i], i + 1, schema, true, names, onWarn);
+              }
+            } catch (error) {
+              return handleArgumentError(builderOpts, error, rawArgs);
+            }
+          }
+
+          if (builderOpts.afterArgsFn) {
+            parsedArgs = (await builderOpts.afterArgsFn(parsedArgs)) ?? parsedArgs;
+          }
+
+          if (record) record.call.args = parsedArgs;
+
+          // pending calls are cached too, so concurrent calls with the same arguments share them
+          const cache = builderOpts.cache?.of(this);
+          const cacheKey = cache ? cache.key(...parsedArgs) : undefined;
+          const cached = cache?.get(cacheKey);
+
+          if (cached) {
+            return cached.value;
+          }
+
+          let callSignal;
+
+          const exec = async (attempt) => {
+            // every attempt gets its own timeout, the signal is forwarded as an extra last argument
+            if (timeout !== undefined || signal !== undefined) {
+              callSignal = getCallSignal(timeout, signal, returnNames);
+            }
+
+            try {
+              callSignal?.signal.throwIfAborted();
+              const execFn = builderOpts.execFnQueue.shift() ?? builderOpts.execFn;
+              const callArgs = (args) => (callSignal ? [...args, callSignal.signal] : args);
+              let execRet;
+
+              if (!middleware.length) {
+                execRet = execFn.apply(this, callArgs(parsedArgs));
+              } else {
+                const ctx = {
+                  functionName,
+                  rawArgs,
+                  args: parsedArgs.slice(),
+                  mocked: execFn !== fn,
+                  attempt,
+                  signal: callSignal?.signal,
+                  result: undefined,
+                };
+
+                execRet = runMiddleware(middleware, ctx, (args) =>
+                  execFn.apply(this, callArgs(args)),
+                );
+              }
+
+              return await (callSignal
+                ? raceAbort(Promise.resolve(execRet), callSignal.signal)
+                : execRet);
+            } finally {
+              callSignal?.clear();
+            }
+          };
+
+          // returned iterables are validated as they are consumed, see iteratorValidation()
+          let iterating = false;
+
+          const onDone = async (status, value) => {
+            record?.settle(status, value);
+
+            if (status === "returned") {
+              builderOpts.spyFnCount++;
+              await builderOpts.spyFn(parsedArgs, value, builderOpts.spyFnCount);
+            }
+          };
+
+          const validate = async (ret) => {
+            if (builderOpts.beforeReturnFn) {
+              ret = (await builderOpts.beforeReturnFn(ret, parsedArgs)) ?? ret;
+            }
+
+            if (yieldSchema && mode !== "off") {
+              const yieldSchemas = { item: yieldSchema, return: yieldReturnSchema };
+              ret = iteratorValidation(ret, yieldSchemas, true, returnNames, onWarn, onDone);
+              iterating = true;
+              if (record) record.deferred = true;
+              return ret;
+            }
+
+            return returnValidation(ret, validReturnSchema, true, returnNames, onWarn);
+          };
+
+          let failed = false;
+
+          const run = async () => {
+            const result = await execAttempts(builderOpts, record, exec, validate, signal);
+            let ret = result.ret;
+
+            if (result.invalid) {
+              failed = true;
+              return handleValidationError(builderOpts, result.error, parsedArgs);
+            }
+
+            if (result.failed) {
+              failed = true;
+              const { error } = result;
+              const aborted = !!callSignal?.signal.aborted && error === callSignal.signal.reason;
+              ret = builderOpts.onErrorFn(error, parsedArgs);
+
+              if (ret instanceof Promise) {
+                ret = await ret;
+              }
+
+              // aborted calls return the onError value as is, without return validation or spy
+              if (aborted) {
+                return ret;
+              }
+
+              try {
+                ret = await validate(ret);
+              } catch (error) {
+                return handleValidationError(builderOpts, error, parsedArgs);
+              }
+            }
+
+            return iterating ? ret : callSpy(builderOpts, parsedArgs, ret);
+          };
+
+          return cache ? cachePromise(cache, cacheKey, run(), () => !failed) : run();
+        },
+      true,
+    );
+  },
+};
+
+const v3StringFormats = {
+  email: "email",
+  url: "uri",
+  uuid: "uuid",
+  datetime: "date-time",
+  date: "date",
+  time: "time",
+};
+
+/**
+ * Converts a Zod v3 schema into a JSON Schema (draft 2020-12), matching the output of Zod v4's
+ * `toJSONSchema()` for common types. Unrepresentable types become `{}`.
+ */
+function getV3JSONSchema(schema, io, override) {
+  const def = schema._def;
+  const convert = (inner) => getV3JSONSchema(inner, io, override);
+  let json = {};
+
+  switch (def.typeName) {
+    case "ZodString":
+      json = { type: "string" };
+
+      for (const check of def.checks) {
+        if (check.kind === "min") json.minLength = check.value;
+        else if (check.kind === "max") json.maxLength = check.value;
+        else if (check.kind === "length") json.minLength = json.maxLength = check.value;
+        else if (check.kind === "regex") json.pattern = check.regex.source;
+        else if (v3StringFormats[check.kind]) json.format = v3StringFormats[check.kind];
+      }
+      break;
+    case "ZodNumber":
+      json = { type: def.checks.some((check) => check.kind === "int") ? "integer" : "number" };
+
+      for (const check of def.checks) {
+        if (check.kind === "min") {
+          json[check.inclusive ? "minimum" : "exclusiveMinimum"] = check.value;
+        } else if (check.kind === "max") {
+          json[check.inclusive ? "maximum" : "exclusiveMaximum"] = check.value;
+        } else if (check.kind === "multipleOf") {
+          json.multipleOf = check.value;
+        }
+      }
+      break;
+    case "ZodBoolean":
+      json = { type: "boolean" };
+      break;
+    case "ZodNull":
+      json = { type: "null" };
+      break;
+    case "ZodLiteral":
+      json = { type: def.value === null ? "null" : typeof def.value, const: def.value };
+      break;
+    case "ZodEnum":
+      json = { type: "string", enum: def.values };
+      break;
+    case "ZodNativeEnum": {
+      // numeric enums have reverse mappings, e.g. { A: 0, 0: "A" }
+      const values = Object.keys(def.values)
+        .filter((key) => typeof def.values[def.values[key]] !== "number")
+        .map((key) => def.values[key]);
+      const types = new Set(values.map((value) => typeof value));
+
+      json = types.size === 1 ? { type: [...types][0], enum: values } : { enum: values };
+      break;
+    }
+    case "ZodObject": {
+      const shape = def.shape();
+      const isOptional = (key) =>
+        io === "input" ? shape[key].isOptional() : shape[key]._def.typeName === "ZodOptional";
+      const required = Object.keys(shape).filter((key) => !isOptional(key));
+
+      json = { type: "object", properties: {} };
+
+      for (const key in shape) {
+        json.properties[key] = convert(shape[key]);
+      }
+
+      if (required.length) json.required = required;
+
+      if (def.catchall._def.typeName !== "ZodNever") {
+        json.additionalProperties = convert(def.catchall);
+      } else if (def.unknownKeys === "strict" || (io === "output" && def.unknownKeys === "strip")) {
+        json.additionalProperties = false;
+      }
+      break;
+    }
+    case "ZodArray":
+      json = { type: "array", items: convert(def.type) };
+
+      if (def.exactLength) json.minItems = json.maxItems = def.exactLength.value;
+      if (def.minLength) json.minItems = def.minLength.value;
+      if (def.maxLength) json.maxItems = def.maxLength.value;
+      break;
+    case "ZodTuple":
+      json = { type: "array", prefixItems: def.items.map(convert) };
+      if (def.rest) json.items = convert(def.rest);
+      break;
+    case "ZodRecord":
+      json = {
+        type: "object",
+        propertyNames: convert(def.keyType),
+        additionalProperties: convert(def.valueType),
+      };
+      break;
+    case "ZodUnion":
+    case "ZodDiscriminatedUnion":
+      json = { anyOf: [...def.options].map(convert) };
+      break;
+    case "ZodIntersection":
+      json = { allOf: [convert(def.left), convert(def.right)] };
+      break;
+    case "ZodOptional":
+      json = convert(def.innerType);
+      break;
+    case "ZodNullable":
+      json = { anyOf: [convert(def.innerType), { type: "null" }] };
+      break;
+    case "ZodDefault":
+      json = { ...convert(def.innerType), default: def.defaultValue() };
+      break;
+    case "ZodCatch":
+      json = convert(def.innerType);
+      break;
+    case "ZodReadonly":
+      json = { ...convert(def.innerType), readOnly: true };
+      break;
+    case "ZodBranded":
+    case "ZodPromise":
+      json = convert(def.type);
+      break;
+    case "ZodEffects":
+      // the output of transforms is unknown
+      if (io === "input" || def.effect.type !== "transform") json = convert(def.schema);
+      break;
+    case "ZodPipeline":
+      json = convert(io === "input" ? def.in : def.out);
+      break;
+  }
+
+  if (schema.description !== undefined) {
+    json.description = schema.description;
+  }
+
+  override?.({ zodSchema: schema, jsonSchema: json });
+
+  return json;
+}
+
+function getJSONSchema(schema, io, override) {
+  if (zfnBuilder.isPrototypeOf(schema)) {
+    return {};
+  }
+
+  if (schema._zod === undefined) {
+    return getV3JSONSchema(schema, io, override);
+  }
+
+  // works for both Zod v4 and v4-mini schemas
+  const { $schema, ...json } = z.toJSONSchema(schema, { io, unrepresentable: "any", override });
+
+  return json;
+}
+
+/**
+ * Nests a converted schema at `pointer` in a larger document: its `$defs` move into `defs`
+ * (renamed when taken) and its refs, relative to its own root, are rewritten to match.
+ */
+function nestJSONSchema(json, pointer, defs) {
+  const { $defs = {}, ...schema } = json;
+  const defNames = {};
+
+  for (const name of Object.keys($defs)) {
+    let defName = name;
+
+    for (let i = 1; Object.hasOwn(defs, defName); i++) {
+      defName = `${name}_${i}`;
+    }
+
+    defNames[name] = defName;
+    defs[defName] = undefined;
+  }
+
+  const rewrite = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(rewrite);
+    }
+
+    if (typeof value !== "object" || value === null) {
+      return value;
+    }
+
+    const result = {};
+
+    for (const [key, inner] of Object.entries(value)) {
+      if (key !== "$ref" || typeof inner !== "string" || !inner.startsWith("#")) {
+        result[key] = rewrite(inner);
+      } else if (inner.startsWith("#/$defs/")) {
+        const [name, ...path] = inner.slice("#/$defs/".length).split("/");
+        result[key] = ["#/$defs", defNames[name] ?? name, ...path].join("/");
+      } else {
+        result[key] = pointer + inner.slice(1);
+      }
+    }
+
+    return result;
+  };
+
+  for (const name of Object.keys($defs)) {
+    defs[defNames[name]] = rewrite($defs[name]);
+  }
+
+  return rewrite(schema);
+}
+
+function hasJSONSchemaRef(json) {
+  if (typeof json !== "object" || json === null) {
+    return false;
+  }
+
+  return Object.entries(json).some(
+    ([key, value]) => (key === "$ref" && typeof value === "string") || hasJSONSchemaRef(value),
+  );
+}
+
+function isOptionalSchema(schema) {
+  if (zfnBuilder.isPrototypeOf(schema)) {
+    return false;
+  }
+
+  return schema._zod ? schema._zod.optin === "optional" : schema.isOptional();
+}
+
+function getContractSchemas(target, override) {
+  if (target === undefined) {
+    throw new ZodFnError("Contract target not provided");
+  }
+
+  if (!zfnBuilder.isPrototypeOf(target) && typeof target?._schemas !== "object") {
+    throw new ZodFnError("Contract target must be a zodfn builder or function");
+  }
+
+  const { args: argSchemas, rest: restSchema, return: returnSchema } = target._schemas;
+  const { named, strict, paramNames } = target._options;
+  let parameters;
+
+  if (override !== undefined && typeof override !== "function") {
+    throw new ZodFnError("JSON Schema override must be a function");
+  }
+
+  if (named) {
+    parameters = getJSONSchema(argSchemas[0], "input", override);
+  } else {
+    // every argument is converted on its own, so their refs and $defs are moved to the tuple
+    const $defs = {};
+    const prefixItems = argSchemas.map((schema, i) => {
+      const json = nestJSONSchema(
+        getJSONSchema(schema, "input", override),
+        `#/prefixItems/${i}`,
+        $defs,
+      );
+      return paramNames[i] && json.title === undefined ? { title: paramNames[i], ...json } : json;
+    });
+    let minItems = argSchemas.length;
+
+    while (minItems > 0 && isOptionalSchema(argSchemas[minItems - 1])) {
+      minItems--;
+    }
+
+    parameters = { type: "array", prefixItems, minItems };
+
+    if (restSchema) {
+      const json = getJSONSchema(restSchema, "input", override);
+      parameters.items = nestJSONSchema(json, "#/items", $defs);
+    } else if (strict) {
+      parameters.items = false;
+    }
+
+    if (Object.keys($defs).length) parameters.$defs = $defs;
+  }
+
+  const returns = returnSchema ? getJSONSchema(returnSchema, "output", override) : {};
+
+  return { parameters, returns, hasReturns: !!returnSchema, functionName: target._options.name };
+}
+
+function getParamKeys(fn, keys, defaultKeys) {
+  if (fn === undefined) {
+    throw new ZodFnError("Function argument not provided");
+  }
+
+  if (typeof fn !== "function") {
+    throw new ZodFnError("Function argument must be a function");
+  }
+
+  const paramKeys = keys ?? defaultKeys;
+
+  if (paramKeys === undefined) {
+    throw new ZodFnError("Parameter keys not provided");
+  }
+
+  if (!Array.isArray(paramKeys) || paramKeys.some((key) => typeof key !== "string")) {
+    throw new ZodFnError("Parameter keys must be an array of strings");
+  }
+
+  return paramKeys;
+}
+
+// methods of implemented contracts, which operations can't be named after
+const contractMethods = ["mock", "reset"];
 
-    try {
-      json = JSON.parse(error.message);
-    } catch (_) {
-      errMessage = error.message?.replace("parseAsync()", "createAsync()");
+function implementContract(operations, implementations, isAsync) {
+  if (implementations === undefined) {
+    throw new ZodFnError("Contract implementations not provided");
+  }
 
-      throw new ZodFnError(errMessage);
-    }
+  if (typeof implementations !== "object" || implementations === null) {
+    throw new ZodFnError("Contract implementations must be an object");
+  }
 
-    if (Array.isArray(json) && json?.[0]?.message && json?.[0]?.path) {
-      const path = json[0].path.join(".");
-      const message = json[0].message;
-      const positionStr = `${position}${getOrdinalSuffix(position)}`;
+  const missing = Object.keys(operations).filter((key) => !Object.hasOwn(implementations, key));
+  const unknown = Object.keys(implementations).filter((key) => !Object.hasOwn(operations, key));
 
-      errMessage = `Validation failed for ${positionStr} argument`;
-      if (path) errMessage += ` - Path: ${path}`;
-      errMessage += ` - ${message}`;
-    } else {
-      /* istanbul ignore next */
-      errMessage = error.message; // Fallback for unexpected error formats
-    }
-    errMessage = errMessage?.replace("parseAsync()", "createAsync()");
+  if (missing.length || unknown.length) {
+    const problems = [];
 
-    throw new ZodFnError(errMessage);
-  };
+    if (missing.length) problems.push(`is missing ${missing.join(", ")}`);
+    if (unknown.length) problems.push(`has unknown ${unknown.join(", ")}`);
 
-  if (isAsync) {
-    return (async () => {
-      try {
-        return await schema.parseAsync(arg);
-      } catch (error) {
-        throwError(error);
-      }
-    })();
+    throw new ZodFnError(`Contract implementation ${problems.join(" and ")}`);
   }
 
-  try {
-    return schema.parse(arg);
-  } catch (error) {
-    throwError(error);
+  const fns = {};
+
+  for (const [key, builder] of Object.entries(operations)) {
+    const implementation = implementations[key];
+
+    if (typeof implementation !== "function") {
+      throw new ZodFnError(`Implementation of ${key} must be a function`);
+    }
+
+    const namedBuilder = builder._options.name ? builder : builder.name(key);
+
+    fns[key] = isAsync
+      ? namedBuilder.createAsync(implementation)
+      : namedBuilder.create(implementation);
   }
+
+  Object.defineProperties(fns, {
+    mock: {
+      value: (mocks) => {
+        if (typeof mocks !== "object" || mocks === null) {
+          throw new ZodFnError("Contract mocks must be an object");
+        }
+
+        for (const key of Object.keys(mocks)) {
+          if (!Object.hasOwn(operations, key)) {
+            throw new ZodFnError(`Contract has no ${key} operation`);
+          }
+        }
+
+        for (const [key, mock] of Object.entries(mocks)) {
+          fns[key].mock(mock);
+        }
+
+        return fns;
+      },
+    },
+    reset: {
+      value: () => {
+        for (const key of Object.keys(operations)) {
+          fns[key].resetMock().resetSpy().resetRecord();
+        }
+
+        return fns;
+      },
+    },
+  });
+
+  return fns;
 }
 
-function returnValidation(arg, schema, isAsync) {
+const invalidChunkPolicies = ["error", "drop"];
+
+/**
+ * Returns a function that validates the chunks of a stream in order. Invalid chunks throw, or are
+ * dropped (after being passed to the `onInvalid` function, if any).
+ */
+function getChunkValidator(schema, options = {}) {
   if (schema === undefined) {
-    return arg;
+    throw new ZodFnError("Chunk schema not provided");
   }
 
-  const throwError = (error) => {
-    let json;
+  if (typeof schema?.parseAsync !== "function") {
+    throw new ZodFnError("Chunk schema must be a valid Zod schema");
+  }
 
-    let errMessage = "";
+  const { name: functionName, onInvalid = "error" } = options;
 
-    try {
-      json = JSON.parse(error.message);
-    } catch (_) {
-      errMessage = error.message?.replace("parseAsync()", "createAsync()");
+  if (functionName !== undefined && typeof functionName !== "string") {
+    throw new ZodFnError("Stream name must be a string");
+  }
 
-      throw new ZodFnError(errMessage);
-    }
+  if (!invalidChunkPolicies.includes(onInvalid) && typeof onInvalid !== "function") {
+    throw new ZodFnError(
+      `Invalid chunk policy must be a function or one of: ${invalidChunkPolicies.join(", ")}`,
+    );
+  }
 
-    if (Array.isArray(json) && json?.[0]?.message && json?.[0]?.path) {
-      const path = json[0].path.join(".");
-      const message = json[0].message;
+  let index = 0;
 
-      errMessage = `Validation failed for return value`;
-      if (path) errMessage += ` - Path: ${path}`;
-      errMessage += ` - ${message}`;
-    } else {
-      /* istanbul ignore next */
-      errMessage = error.message; // Fallback for unexpected error formats
-    }
-    errMessage = errMessage?.replace("parseAsync()", "createAsync()");
+  return async (chunk) => {
+    const names = { functionName, index: index++ };
 
-    throw new ZodFnError(errMessage);
+    try {
+      return { value: await schema.parseAsync(chunk) };
+    } catch (err) {
+      const error = getValidationError(err, "chunk", undefined, names);
+
+      if (onInvalid === "error") throw error;
+      if (onInvalid !== "drop") await onInvalid(error, chunk);
+
+      return { dropped: true };
+    }
   };
+}
 
-  if (isAsync) {
-    return (async () => {
-      try {
-        return await schema.parseAsync(arg);
-      } catch (error) {
-        throwError(error);
-      }
-    })();
-  }
+function getTransformStream(schema, options) {
+  const validateChunk = getChunkValidator(schema, options);
 
-  try {
-    return schema.parse(arg);
-  } catch (error) {
-    throwError(error);
-  }
+  return new TransformStream({
+    async transform(chunk, controller) {
+      const result = await validateChunk(chunk);
+      if (!result.dropped) controller.enqueue(result.value);
+    },
+  });
 }
 
-function getExecFn(ogFn, fnBuilder) {
-  const options = {
-    execFn: ogFn,
-    spyFn: (_args, _ret) => {},
-    spyFnCount: 0,
-    onErrorFn: (err, _args) => {
-      throw err;
+function getNodeTransform(schema, options) {
+  const validateChunk = getChunkValidator(schema, options);
+  const { Transform } = require("node:stream");
+
+  return new Transform({
+    objectMode: true,
+    transform(chunk, _encoding, callback) {
+      validateChunk(chunk).then((result) => {
+        if (!result.dropped) this.push(result.value);
+        callback();
+      }, callback);
     },
-  };
+  });
+}
 
-  const resFn = fnBuilder(options);
+function isNodeStream(stream) {
+  return typeof stream?.pipe === "function" && typeof stream.on === "function";
+}
 
-  resFn.mock = (_mock) => {
-    if (_mock === undefined) {
-      throw new ZodFnError("Mock function argument not provided");
-    }
+function getRequestQuery(req) {
+  if (req.query !== undefined) {
+    return req.query;
+  }
 
-    if (typeof _mock !== "function") {
-      throw new ZodFnError("Mock argument must be a function");
-    }
+  const query = {};
 
-    options.execFn = _mock;
-    return resFn;
-  };
+  // repeated keys become arrays, like in Express
+  for (const [key, value] of new URL(req.url ?? "/", "http://localhost").searchParams) {
+    query[key] = Object.hasOwn(query, key) ? [].concat(query[key], value) : value;
+  }
 
-  resFn.resetMock = () => {
-    options.execFn = ogFn;
-    return resFn;
-  };
+  return query;
+}
 
-  resFn.spy = (_spy) => {
-    if (_spy === undefined) {
-      throw new ZodFnError("Spy handler function not provided");
-    }
+/**
+ * Reads the JSON body of a request, unless a body parser (e.g. `express.json()`) already did.
+ * Bodies larger than `maxBodySize` bytes throw a `ZodFnError`, and the rest is never read.
+ */
+async function getRequestBody(req, maxBodySize) {
+  if (req.body !== undefined || req.method === "GET" || req.method === "HEAD") {
+    return req.body;
+  }
 
-    if (typeof _spy !== "function") {
-      throw new ZodFnError("Spy handler must be a function");
-    }
+  const tooLarge = () => new ZodFnError(`Request body exceeds ${maxBodySize} bytes`);
 
-    options.spyFnCount = 0;
-    options.spyFn = _spy;
-    return resFn;
-  };
+  if (Number(req.headers?.["content-length"]) > maxBodySize) {
+    throw tooLarge();
+  }
 
-  resFn.resetSpy = () => {
-    options.spyFnCount = 0;
-    options.spyFn = (_args, _ret) => {};
-    return resFn;
-  };
+  const text = await new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
 
-  resFn.onError = (_onError) => {
-    if (_onError === undefined) {
-      throw new ZodFnError("onError handler function not provided");
-    }
+    const onData = (chunk) => {
+      size += chunk.length;
 
-    if (typeof _onError !== "function") {
-      throw new ZodFnError("onError handler must be a function");
-    }
+      if (size > maxBodySize) {
+        req.off("data", onData);
+        req.pause();
+        reject(tooLarge());
+        return;
+      }
 
-    options.onErrorFn = _onError;
-    return resFn;
-  };
+      chunks.push(chunk);
+    };
 
-  return resFn;
+    req.on("data", onData);
+    req.once("error", reject);
+    req.once("end", () => resolve(Buffer.concat(chunks).toString()));
+  });
+
+  return text ? JSON.parse(text) : undefined;
 }
 
-function getBuilderInstance(obj) {
-  if ("_schemas" in obj) {
-    return obj;
+function sendResponse(res, status, body) {
+  res.statusCode = status;
+
+  if (body === undefined) {
+    res.end();
+    return;
   }
 
-  const newInstance = Object.create(obj);
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
 
-  newInstance._schemas = {
-    args: [],
-    return: undefined,
-  };
+function getDecoratedMethod(target, key, isAsync) {
+  if (typeof target !== "object" && typeof target !== "function") {
+    throw new ZodFnError("Method target must be an object");
+  }
 
-  return newInstance;
+  const method = target?.[key];
+  const decorator = isAsync ? "methodAsync()" : "method()";
+
+  // only async functions have withSignal()
+  if (
+    typeof method?._schemas !== "object" ||
+    isAsync !== (typeof method.withSignal === "function")
+  ) {
+    throw new ZodFnError(`Method ${String(key)} is not decorated with ${decorator}`);
+  }
+
+  return method;
 }
 
-const zfnBuilder = {
-  args(...argSchemas) {
-    const builder = getBuilderInstance(this);
+const zfn = Object.assign(Object.create(zfnBuilder), {
+  toNamed(fn, keys) {
+    const paramNames = fn?._options?.paramNames;
+    const paramKeys = getParamKeys(fn, keys, paramNames?.length ? paramNames : undefined);
 
-    if (!argSchemas.length) {
-      throw new ZodFnError("Argument schemas not provided");
-    }
+    return function (params) {
+      const args = paramKeys.map((key) => params?.[key]);
 
-    for (let i = 0; i < argSchemas.length; i++) {
-      const schema = argSchemas[i];
+      return fn.apply(this, args);
+    };
+  },
 
-      if (typeof schema?.parseAsync !== "function" && typeof schema?.parseAsync !== "function") {
-        throw new ZodFnError(
-          `${i + 1}${getOrdinalSuffix(i + 1)} argument must be a valid Zod schema`,
-        );
-      }
-    }
+  toJSONSchema(target, options = {}) {
+    const { parameters, returns } = getContractSchemas(target, options.override);
+    const $schema = "https://json-schema.org/draft/2020-12/schema";
 
-    builder._schemas.args = argSchemas;
-    return builder;
+    return { parameters: { $schema, ...parameters }, returns: { $schema, ...returns } };
   },
 
-  returns(returnSchema) {
-    const builder = getBuilderInstance(this);
+  toOpenAPI(target, options = {}) {
+    const { override } = options;
+    let { parameters, returns, hasReturns, functionName } = getContractSchemas(target, override);
+    const { operationId = functionName, summary, description } = options;
+    const operation = {};
+
+    // refs are relative to the OpenAPI document, unless the schema has its own $id
+    const id = `urn:zodfn:${operationId ?? "operation"}`;
+    if (hasJSONSchemaRef(parameters)) parameters = { $id: `${id}:parameters`, ...parameters };
+    if (hasJSONSchemaRef(returns)) returns = { $id: `${id}:returns`, ...returns };
+
+    if (operationId !== undefined) operation.operationId = operationId;
+    if (summary !== undefined) operation.summary = summary;
+    if (description !== undefined) operation.description = description;
+
+    operation.requestBody = {
+      required: true,
+      content: { "application/json": { schema: parameters } },
+    };
+
+    operation.responses = {
+      200: hasReturns
+        ? {
+            description: "Successful response",
+            content: { "application/json": { schema: returns } },
+          }
+        : { description: "Successful response" },
+      400: { description: "Invalid arguments" },
+    };
+
+    return operation;
+  },
 
-    if (returnSchema === undefined) {
-      throw new ZodFnError("Return schema not provided");
+  toHandler(fn, options = {}) {
+    if (fn === undefined) {
+      throw new ZodFnError("Handler function not provided");
     }
 
-    if (
-      typeof returnSchema?.parseAsync !== "function" &&
-      typeof returnSchema?.parseAsync !== "function"
-    ) {
-      throw new ZodFnError("Return value must be a valid Zod schema");
+    if (typeof fn !== "function" || typeof fn._schemas !== "object") {
+      throw new ZodFnError("Handler function must be a zodfn function");
     }
 
-    builder._schemas.return = returnSchema;
-    return builder;
-  },
-
-  build(_buildFn) {
-    let builder = getBuilderInstance(this);
+    const { args: getArgs, maxBodySize = 1024 * 1024 } = options;
 
-    if (_buildFn === undefined) {
-      throw new ZodFnError("Build function argument not provided");
+    if (getArgs !== undefined && typeof getArgs !== "function") {
+      throw new ZodFnError("Handler args option must be a function");
     }
 
-    if (typeof _buildFn !== "function") {
-      throw new ZodFnError("Build argument must be a function");
+    if (typeof maxBodySize !== "number" || !(maxBodySize > 0)) {
+      throw new ZodFnError("Handler maxBodySize option must be a positive number of bytes");
     }
 
-    const result = _buildFn(z);
+    const { named, paramNames } = fn._options;
+    const argsLength = fn._schemas.args.length;
 
-    if (typeof result !== "object" || result === null) {
-      throw new ZodFnError("Build function return value is not valid");
+    if (getArgs === undefined && !named && paramNames.length < argsLength) {
+      throw new ZodFnError("Handler arguments need parameter names, set with zfn.name()");
     }
 
-    if (result.args) builder.args(...result.args);
-    if (result.returns) builder.returns(result.returns);
-
-    return builder;
-  },
+    return async (req, res) => {
+      let body;
 
-  create(fn) {
-    if (fn === undefined) {
-      throw new ZodFnError("Create function not provided");
-    }
+      try {
+        body = await getRequestBody(req, maxBodySize);
+      } catch (error) {
+        if (error instanceof ZodFnError) {
+          // the rest of the body is left unread, so the connection can't be reused
+          res.setHeader("Connection", "close");
+          sendResponse(res, 413, { error: error.message });
+        } else {
+          sendResponse(res, 400, { error: "Invalid JSON body" });
+        }
 
-    if (typeof fn !== "function") {
-      throw new ZodFnError("Create argument must be a function");
-    }
+        return;
+      }
 
-    const builder = getBuilderInstance(this);
+      try {
+        const query = getRequestQuery(req);
+        const params = req.params ?? {};
+        let args;
+
+        if (getArgs) {
+          args = await getArgs(req, body);
+        } else if (named) {
+          // path parameters take precedence over the body, and the body over the query
+          const bodyParams = typeof body === "object" && body !== null ? body : {};
+          args = [{ ...query, ...bodyParams, ...params }];
+        } else {
+          args = paramNames
+            .slice(0, argsLength)
+            .map((name) => params[name] ?? query[name] ?? body?.[name]);
+        }
 
-    return getExecFn(fn, (builderOpts) => (...args) => {
-      const parsedArgs = [];
+        const ret = await fn.apply(undefined, args);
 
-      for (let i = 0; i < args.length; i++) {
-        const schema = builder._schemas.args[i];
+        sendResponse(res, ret === undefined ? 204 : 200, ret);
+      } catch (error) {
+        // argument errors of the functions called by the implementation are server errors
+        const isArgumentError = argumentErrorOwners.get(error) === execOptions.get(fn);
 
-        if (schema) {
-          parsedArgs.push(argValidation(args[i], i + 1, schema, false));
+        if (isArgumentError) {
+          sendResponse(res, 400, { error: error.message, issues: error.issues });
         } else {
-          parsedArgs.push(args[i]);
+          sendResponse(res, 500, { error: "Internal Server Error" });
         }
       }
+    };
+  },
 
-      let ret;
+  toTransformStream(schema, options) {
+    return getTransformStream(schema, options);
+  },
 
-      try {
-        ret = builderOpts.execFn(...parsedArgs);
+  toNodeTransform(schema, options) {
+    return getNodeTransform(schema, options);
+  },
 
-        if (ret instanceof Promise) {
-          return (async () => {
-            try {
-              ret = await ret;
-            } catch (error) {
-              ret = builderOpts.onErrorFn(error, parsedArgs);
+  validateStream(stream, schema, options) {
+    if (stream === undefined) {
+      throw new ZodFnError("Stream not provided");
+    }
 
-              if (ret instanceof Promise) {
-                ret = await ret;
-              }
-            }
+    if (stream instanceof ReadableStream) {
+      return stream.pipeThrough(getTransformStream(schema, options));
+    }
 
-            ret = returnValidation(ret, builder._schemas.return, false);
-            builderOpts.spyFnCount++;
-            const spyFnRes = builderOpts.spyFn(parsedArgs, ret, builderOpts.spyFnCount);
+    // transform streams keep their writable side, and their output is validated
+    if (stream?.readable instanceof ReadableStream && stream.writable instanceof WritableStream) {
+      const readable = stream.readable.pipeThrough(getTransformStream(schema, options));
+      return { writable: stream.writable, readable };
+    }
 
-            if (spyFnRes instanceof Promise) {
-              await spyFnRes;
-            }
+    if (isNodeStream(stream)) {
+      const { compose } = require("node:stream");
+      return compose(stream, getNodeTransform(schema, options));
+    }
 
-            return ret;
-          })();
-        }
-      } catch (error) {
-        ret = builderOpts.onErrorFn(error, parsedArgs);
+    throw new ZodFnError("Stream must be a ReadableStream, a TransformStream or a Node stream");
+  },
 
-        if (ret instanceof Promise) {
-          ret.catch(() => {}); // avoid unhandled promise rejection
+  toPositional(fn, keys) {
+    const paramsSchema = fn?._options?.named ? fn._schemas.args[0] : undefined;
+    const paramKeys = getParamKeys(fn, keys, paramsSchema && Object.keys(paramsSchema.shape));
 
-          throw new ZodFnError(
-            "onError handler function cannot return a promise in a synchronous context",
-          );
-        }
-      }
+    return function (...args) {
+      const params = {};
 
-      ret = returnValidation(ret, builder._schemas.return, false);
-      builderOpts.spyFnCount++;
-      const spyFnRes = builderOpts.spyFn(parsedArgs, ret, builderOpts.spyFnCount);
+      for (let i = 0; i < paramKeys.length && i < args.length; i++) {
+        params[paramKeys[i]] = args[i];
+      }
 
-      if (spyFnRes instanceof Promise) {
-        spyFnRes.catch(() => {}); // avoid unhandled promise rejection
+      return fn.call(this, params);
+    };
+  },
 
-        throw new ZodFnError(
-          "Spy handler function cannot return a promise in a synchronous context",
-        );
-      }
+  getMethod(target, key) {
+    return getDecoratedMethod(target, key, false);
+  },
 
-      return ret;
-    });
+  getMethodAsync(target, key) {
+    return getDecoratedMethod(target, key, true);
   },
 
-  createAsync(fn) {
-    if (fn === undefined) {
-      throw new ZodFnError("Create function not provided");
+  configure(options) {
+    if (typeof options !== "object" || options === null) {
+      throw new ZodFnError("Configuration options not provided");
     }
 
-    if (typeof fn !== "function") {
-      throw new ZodFnError("Create argument must be a function");
+    const { validation, sampleRate, onWarn } = options;
+
+    if (validation !== undefined && !validationModes.includes(validation)) {
+      throw new ZodFnError(`Validation mode must be one of: ${validationModes.join(", ")}`);
     }
 
-    const builder = getBuilderInstance(this);
+    if (sampleRate !== undefined && !isSampleRate(sampleRate)) {
+      throw new ZodFnError("Sample rate must be a number between 0 and 1");
+    }
 
-    return getExecFn(fn, (builderOpts) => async (...args) => {
-      const parsedArgs = [];
+    if (onWarn !== undefined && typeof onWarn !== "function") {
+      throw new ZodFnError("onWarn handler must be a function");
+    }
 
-      for (let i = 0; i < args.length; i++) {
-        let schema = builder._schemas.args[i];
+    if (validation !== undefined) config.validation = validation;
+    if (sampleRate !== undefined) config.sampleRate = sampleRate;
+    if (onWarn !== undefined) config.onWarn = onWarn;
+    return this;
+  },
 
-        if (schema) {
-          parsedArgs.push(await argValidation(args[i], i + 1, schema, true));
-        } else {
-          parsedArgs.push(args[i]);
-        }
+  contract(operations) {
+    if (operations === undefined) {
+      throw new ZodFnError("Contract operations not provided");
+    }
+
+    if (typeof operations !== "object" || operations === null) {
+      throw new ZodFnError("Contract operations must be an object");
+    }
+
+    for (const [key, builder] of Object.entries(operations)) {
+      if (!zfnBuilder.isPrototypeOf(builder)) {
+        throw new ZodFnError(`Contract operation ${key} must be a zodfn builder`);
       }
 
-      let ret;
+      if (contractMethods.includes(key)) {
+        throw new ZodFnError(`Contract operation name ${key} is reserved`);
+      }
+    }
 
-      try {
-        ret = builderOpts.execFn(...parsedArgs);
+    return {
+      operations,
+      implement: (implementations) => implementContract(operations, implementations, false),
+      implementAsync: (implementations) => implementContract(operations, implementations, true),
+    };
+  },
 
-        if (ret instanceof Promise) {
-          ret = await ret;
-        }
-      } catch (error) {
-        ret = builderOpts.onErrorFn(error, parsedArgs);
+  registerAll(enabled = true) {
+    registry.registerAll = enabled;
+    return this;
+  },
 
-        if (ret instanceof Promise) {
-          ret = await ret;
-        }
-      }
+  resetAllMocks(tag) {
+    for (const fn of getRegisteredFns(tag)) {
+      fn.resetMock();
+    }
 
-      ret = await returnValidation(ret, builder._schemas.return, true);
-      builderOpts.spyFnCount++;
-      const spyRet = builderOpts.spyFn(parsedArgs, ret, builderOpts.spyFnCount);
+    return this;
+  },
 
-      if (spyRet instanceof Promise) {
-        await spyRet;
-      }
+  resetAllSpies(tag) {
+    for (const fn of getRegisteredFns(tag)) {
+      fn.resetSpy();
+    }
 
-      return ret;
-    });
+    return this;
   },
-};
+
+  restoreAll(tag) {
+    for (const fn of getRegisteredFns(tag)) {
+      fn.resetMock().resetSpy().resetRecord();
+    }
+
+    return this;
+  },
+});
 
 module.exports = {
-  zfn: zfnBuilder,
+  zfn,
   ZodFnError,
+  ZodFnTimeoutError,
 };
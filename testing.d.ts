@@ -0,0 +1,62 @@
+import type { AsyncZodFunction, ZodFnError, ZodFunction } from "./index";
+
+/**
+ * Options of a `fuzz()` run.
+ *
+ * @template Args - The argument types of the fuzzed function
+ */
+export type ZodFnFuzzOptions<Args extends unknown[] = unknown[]> = {
+  /** The number of generated calls that must pass. Defaults to 100. */
+  runs?: number;
+  /** The seed of the generated arguments, to reproduce a run. Defaults to a random seed. */
+  seed?: number;
+  /** The maximum number of smaller arguments tried once a call fails. Defaults to 1000. */
+  maxShrinks?: number;
+  /** Returns `true` for errors the function is expected to throw with the given arguments. */
+  isExpectedError?: (error: unknown, args: Args) => boolean;
+};
+
+/**
+ * The summary of a passed `fuzz()` run.
+ */
+export type ZodFnFuzzReport = {
+  /** The seed of the generated arguments. */
+  seed: number;
+  /** The number of passed calls. */
+  runs: number;
+  /** The number of generated arguments that failed the argument schemas and were skipped. */
+  discarded: number;
+};
+
+/**
+ * The error `fuzz()` rejects with when a generated call fails.
+ */
+export declare class ZodFnFuzzError extends ZodFnError {
+  name: "ZodFnFuzzError";
+  /** The seed that reproduces the failure. */
+  seed: number;
+  /** The 1-based run that failed. */
+  run: number;
+  /** The shrunk arguments of the failed call. */
+  args: unknown[];
+  /** The generated arguments of the failed call, before shrinking. */
+  originalArgs: unknown[];
+  /** The number of times the arguments were shrunk. */
+  shrinks: number;
+  /** The error thrown by the failed call. */
+  cause: unknown;
+}
+
+/**
+ * Calls a function with arguments generated from its argument schemas, checking that the return
+ * schema holds and that no unexpected error is thrown. Failing arguments are shrunk.
+ *
+ * @param fn - The validated function
+ * @param options - The number of runs, the seed and the expected errors
+ * @returns The seed, passed runs and discarded arguments
+ * @throws {ZodFnFuzzError} If a generated call fails, with the shrunk arguments and the seed
+ */
+export declare function fuzz<Args extends unknown[], Returns>(
+  fn: ZodFunction<Args, Returns> | AsyncZodFunction<Args, Returns>,
+  options?: ZodFnFuzzOptions<Args>,
+): Promise<ZodFnFuzzReport>;
@@ -0,0 +1,546 @@
+const { inspect } = require("node:util");
+const { zfn, ZodFnError } = require("./index");
+
+class ZodFnFuzzError extends ZodFnError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "ZodFnFuzzError";
+    this.seed = details.seed;
+    this.run = details.run;
+    this.args = details.args;
+    this.originalArgs = details.originalArgs;
+    this.shrinks = details.shrinks;
+    this.cause = details.cause;
+  }
+}
+
+const alphabet = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 -_";
+
+// values of the window numbers are generated in, when the schema bounds are wider
+const numberRange = 1000;
+
+// generated values stop nesting optional properties and array items past this depth
+const maxDepth = 4;
+
+// mulberry32, a small seeded generator of floats in [0, 1)
+function getRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function getInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+function pick(random, values) {
+  return values[Math.floor(random() * values.length)];
+}
+
+function isBuilder(schema) {
+  return typeof schema?.create === "function" && typeof schema._schemas === "object";
+}
+
+// the key of the Zod types JSON Schema can't represent, set on their (empty) JSON Schemas
+const zodTypeKey = "x-zodfn-type";
+
+// dates are generated until 2100, unless their bounds are wider
+const dateRange = 4102444800000;
+
+// marks dates and bigints with their bounds, as a toJSONSchema() override
+function markZodTypes({ zodSchema, jsonSchema }) {
+  const type = zodSchema._zod
+    ? zodSchema._zod.def.type
+    : { ZodDate: "date", ZodBigInt: "bigint" }[zodSchema._def.typeName];
+
+  if (type !== "date" && type !== "bigint") return;
+
+  let { minimum, maximum, exclusiveMinimum, exclusiveMaximum } = zodSchema._zod?.bag ?? {};
+
+  // Zod v3 keeps the bounds in checks
+  for (const check of zodSchema._zod ? [] : zodSchema._def.checks) {
+    if (check.kind === "min" && check.inclusive === false) exclusiveMinimum = check.value;
+    else if (check.kind === "min") minimum = check.value;
+    else if (check.kind === "max" && check.inclusive === false) exclusiveMaximum = check.value;
+    else if (check.kind === "max") maximum = check.value;
+  }
+
+  if (exclusiveMinimum !== undefined) minimum = exclusiveMinimum + 1n;
+  if (exclusiveMaximum !== undefined) maximum = exclusiveMaximum - 1n;
+
+  // the bounds are kept as timestamps or strings, so they survive copies of the JSON Schema
+  const toJSON = type === "date" ? Number : String;
+
+  if (minimum !== undefined) minimum = toJSON(minimum);
+  if (maximum !== undefined) maximum = toJSON(maximum);
+
+  jsonSchema[zodTypeKey] = { type, minimum, maximum };
+}
+
+function getDate(random) {
+  return new Date(getInt(random, 0, 4102444800) * 1000);
+}
+
+function generateZodType({ type, minimum, maximum }, random) {
+  if (type === "date") {
+    if (minimum === undefined && maximum === undefined) return getDate(random);
+
+    const low = minimum ?? Math.min(0, maximum - dateRange);
+    const high = maximum ?? Math.max(dateRange, minimum + dateRange);
+
+    return new Date(getInt(random, low, high));
+  }
+
+  // bigints are generated in a window of the bounds, like numbers
+  const range = BigInt(2 * numberRange);
+  const max = maximum !== undefined ? BigInt(maximum) : undefined;
+  const low = minimum !== undefined ? BigInt(minimum) : (max ?? BigInt(numberRange)) - range;
+  const high = max ?? low + range;
+  const span = high - low < range ? high - low : range;
+
+  return low + BigInt(getInt(random, 0, Number(span)));
+}
+
+// follows a JSON pointer ref, e.g. "#/prefixItems/1" or "#/$defs/Category"
+function resolveRef(ref, root) {
+  let json = root;
+
+  for (const key of ref.split("/").slice(1)) {
+    json = json?.[key.replaceAll("~1", "/").replaceAll("~0", "~")];
+  }
+
+  return json ?? {};
+}
+
+function getString(random, length) {
+  let str = "";
+
+  for (let i = 0; i < length; i++) {
+    str += pick(random, alphabet);
+  }
+
+  return str;
+}
+
+function getWord(random) {
+  return getString(random, getInt(random, 1, 8)).replace(/[^a-z0-9]/gi, "") || "a";
+}
+
+function getHex(random, length) {
+  let hex = "";
+
+  for (let i = 0; i < length; i++) {
+    hex += pick(random, "0123456789abcdef");
+  }
+
+  return hex;
+}
+
+const stringFormats = {
+  email: (random) => `${getWord(random)}@example.com`,
+  uri: (random) => `https://example.com/${getWord(random)}`,
+  uuid: (random) =>
+    `${getHex(random, 8)}-${getHex(random, 4)}-4${getHex(random, 3)}-` +
+    `${pick(random, "89ab")}${getHex(random, 3)}-${getHex(random, 12)}`,
+  "date-time": (random) => getDate(random).toISOString(),
+  date: (random) => getDate(random).toISOString().slice(0, 10),
+  time: (random) => new Date(getInt(random, 0, 86399) * 1000).toISOString().slice(11, 19),
+  ipv4: (random) => [0, 0, 0, 0].map(() => getInt(random, 0, 255)).join("."),
+};
+
+function getNumber(random, json, isInteger) {
+  const step = json.multipleOf ?? (isInteger ? 1 : 0);
+  let min = json.minimum ?? -Infinity;
+  let max = json.maximum ?? Infinity;
+
+  if (json.exclusiveMinimum !== undefined) min = json.exclusiveMinimum + (step || Number.EPSILON);
+  if (json.exclusiveMaximum !== undefined) max = json.exclusiveMaximum - (step || Number.EPSILON);
+
+  // keeps values readable when the bounds are wide, e.g. safe integers
+  let low = Math.max(min, -numberRange);
+  let high = Math.min(max, numberRange);
+
+  if (low > high) {
+    if (min > numberRange) high = Math.min(max, min + 2 * numberRange);
+    else low = Math.max(min, max - 2 * numberRange);
+  }
+
+  const edges = [low, high, 0].filter((value) => value >= low && value <= high);
+  let value = random() < 0.2 ? pick(random, edges) : low + random() * (high - low);
+
+  if (step) {
+    value = Math.ceil(low / step) * step + Math.floor((value - low) / step) * step;
+  }
+
+  return value;
+}
+
+function generateAny(random, depth) {
+  const kinds = ["null", "boolean", "integer", "number", "string", "date"];
+
+  if (depth < maxDepth) kinds.push("array", "object");
+
+  const kind = pick(random, kinds);
+
+  switch (kind) {
+    case "null":
+      return null;
+    case "date":
+      return getDate(random);
+    case "array":
+      return Array.from({ length: getInt(random, 0, 3) }, () => generateAny(random, depth + 1));
+    case "object":
+      return Object.fromEntries(
+        Array.from({ length: getInt(random, 0, 3) }, () => [
+          getWord(random),
+          generateAny(random, depth + 1),
+        ]),
+      );
+    default:
+      return generateValue({ type: kind }, random, {}, depth);
+  }
+}
+
+function generateValue(json, random, root, depth = 0) {
+  if (json === true || json === undefined) return generateAny(random, depth);
+  if (json[zodTypeKey] !== undefined) return generateZodType(json[zodTypeKey], random);
+
+  if (json.$ref !== undefined) {
+    return generateValue(resolveRef(json.$ref, root), random, root, depth + 1);
+  }
+
+  if (json.const !== undefined) return json.const;
+  if (json.enum !== undefined) return pick(random, json.enum);
+
+  const branches = json.anyOf ?? json.oneOf;
+
+  if (branches !== undefined) {
+    return generateValue(pick(random, branches), random, root, depth);
+  }
+
+  if (json.allOf !== undefined) {
+    const { allOf, ...merged } = json;
+
+    // intersected objects need the properties of every part
+    for (const part of allOf) {
+      const properties = { ...merged.properties, ...part.properties };
+      const required = [...(merged.required ?? []), ...(part.required ?? [])];
+
+      Object.assign(merged, part, { properties, required });
+    }
+
+    return generateValue(merged, random, root, depth);
+  }
+
+  let type = Array.isArray(json.type) ? pick(random, json.type) : json.type;
+
+  if (type === undefined) {
+    if (json.properties || json.additionalProperties) type = "object";
+    else if (json.items || json.prefixItems) type = "array";
+    else return generateAny(random, depth);
+  }
+
+  switch (type) {
+    case "null":
+      return null;
+    case "boolean":
+      return random() < 0.5;
+    case "integer":
+    case "number":
+      return getNumber(random, json, type === "integer");
+    case "string": {
+      if (stringFormats[json.format]) return stringFormats[json.format](random);
+
+      const minLength = json.minLength ?? 0;
+      const maxLength = json.maxLength ?? minLength + 10;
+
+      return getString(random, getInt(random, minLength, maxLength));
+    }
+    case "array": {
+      const prefixItems = json.prefixItems ?? [];
+      const items = json.items ?? (json.prefixItems ? false : true);
+      const minItems = json.minItems ?? prefixItems.length;
+      let length = prefixItems.length;
+
+      if (items === false) {
+        length = getInt(random, Math.min(minItems, length), length);
+      } else {
+        const minLength = Math.max(minItems, length);
+        const maxLength = depth < maxDepth ? (json.maxItems ?? minLength + 3) : minLength;
+
+        length = getInt(random, minLength, maxLength);
+      }
+
+      return Array.from({ length }, (_, i) =>
+        generateValue(i < prefixItems.length ? prefixItems[i] : items, random, root, depth + 1),
+      );
+    }
+    case "object": {
+      const required = json.required ?? [];
+      const obj = {};
+
+      for (const [key, property] of Object.entries(json.properties ?? {})) {
+        if (required.includes(key) || (depth < maxDepth && random() < 0.5)) {
+          obj[key] = generateValue(property, random, root, depth + 1);
+        }
+      }
+
+      if (json.additionalProperties && depth < maxDepth) {
+        const names = json.propertyNames ?? { type: "string", minLength: 1, maxLength: 8 };
+
+        for (let i = getInt(random, 0, 3); i > 0; i--) {
+          const key = String(generateValue(names, random, root, depth + 1));
+          obj[key] = generateValue(json.additionalProperties, random, root, depth + 1);
+        }
+      }
+
+      return obj;
+    }
+  }
+
+  return generateAny(random, depth);
+}
+
+// callback arguments return values generated from their return schema
+function generateCallback(builder, random) {
+  const { returns } = zfn.toJSONSchema(builder, { override: markZodTypes });
+
+  return () => generateValue(returns, random, returns);
+}
+
+function generateArgs(fn, parameters, random) {
+  const { args: argSchemas, rest: restSchema } = fn._schemas;
+
+  if (fn._options.named) {
+    return [generateValue(parameters, random, parameters)];
+  }
+
+  // optional trailing arguments are left out sometimes
+  const length = getInt(random, parameters.minItems, argSchemas.length);
+  const args = Array.from({ length }, (_, i) => {
+    if (isBuilder(argSchemas[i])) return generateCallback(argSchemas[i], random);
+
+    return generateValue(parameters.prefixItems[i], random, parameters);
+  });
+
+  if (restSchema && length === argSchemas.length) {
+    for (let i = getInt(random, 0, 3); i > 0; i--) {
+      args.push(
+        isBuilder(restSchema)
+          ? generateCallback(restSchema, random)
+          : generateValue(parameters.items, random, parameters),
+      );
+    }
+  }
+
+  return args;
+}
+
+// yields smaller variants of a value, simplest first
+function* shrinkValue(value) {
+  if (typeof value === "number") {
+    const candidates = [0, Math.trunc(value), Math.trunc(value / 2), value - Math.sign(value)];
+
+    for (const candidate of new Set(candidates)) {
+      if (Math.abs(candidate) < Math.abs(value)) yield candidate;
+    }
+  } else if (typeof value === "string") {
+    const candidates = [
+      "",
+      value.slice(0, value.length / 2),
+      value.slice(0, -1),
+      value.slice(1),
+      value.replace(/[^a]/, "a"),
+    ];
+
+    for (const candidate of new Set(candidates)) {
+      if (candidate !== value) yield candidate;
+    }
+  } else if (value === true) {
+    yield false;
+  } else if (Array.isArray(value)) {
+    for (let i = value.length - 1; i >= 0; i--) {
+      yield value.filter((_, j) => j !== i);
+    }
+
+    for (let i = 0; i < value.length; i++) {
+      for (const item of shrinkValue(value[i])) {
+        yield value.map((current, j) => (j === i ? item : current));
+      }
+    }
+  } else if (value !== null && Object.getPrototypeOf(value) === Object.prototype) {
+    for (const key of Object.keys(value)) {
+      const { [key]: _, ...rest } = value;
+      yield rest;
+    }
+
+    for (const [key, property] of Object.entries(value)) {
+      for (const item of shrinkValue(property)) {
+        yield { ...value, [key]: item };
+      }
+    }
+  }
+}
+
+function getArgsValidator(fn) {
+  const { args: argSchemas, rest: restSchema } = fn._schemas;
+  const { named, strict } = fn._options;
+  let builder = zfn.validation("strict");
+
+  if (named) builder = builder.params(argSchemas[0]);
+  else if (argSchemas.length) builder = builder.args(...argSchemas);
+
+  if (restSchema) builder = builder.rest(restSchema);
+  if (strict) builder = builder.strict();
+
+  return builder.createAsync(() => {});
+}
+
+function getReturnValidator(fn) {
+  const { return: returnSchema } = fn._schemas;
+
+  if (!returnSchema) return undefined;
+
+  return zfn
+    .validation("strict")
+    .returns(returnSchema)
+    .createAsync((value) => value);
+}
+
+async function runCase(fn, args, validators, isExpectedError) {
+  try {
+    await validators.args(...args);
+  } catch {
+    return { discarded: true };
+  }
+
+  try {
+    const ret = await fn(...args);
+
+    if (validators.return) await validators.return(ret);
+
+    return {};
+  } catch (error) {
+    if (isExpectedError?.(error, args)) return {};
+
+    return { error };
+  }
+}
+
+async function shrinkCase(fn, failure, validators, isExpectedError, maxShrinks) {
+  let { args, error } = failure;
+  let shrinks = 0;
+  let attempts = 0;
+
+  shrinking: while (attempts < maxShrinks) {
+    for (const candidate of shrinkValue(args)) {
+      if (attempts++ >= maxShrinks) break shrinking;
+
+      const result = await runCase(fn, candidate, validators, isExpectedError);
+
+      if (result.error !== undefined) {
+        args = candidate;
+        error = result.error;
+        shrinks++;
+        continue shrinking;
+      }
+    }
+
+    break;
+  }
+
+  return { args, error, shrinks };
+}
+
+async function fuzz(fn, options = {}) {
+  if (fn === undefined) {
+    throw new ZodFnError("Fuzz target not provided");
+  }
+
+  if (typeof fn !== "function" || typeof fn._schemas !== "object") {
+    throw new ZodFnError("Fuzz target must be a zodfn function");
+  }
+
+  const {
+    runs = 100,
+    seed = Math.floor(Math.random() * 2 ** 32),
+    maxShrinks = 1000,
+    isExpectedError,
+  } = options;
+
+  if (!Number.isInteger(runs) || runs < 1) {
+    throw new ZodFnError("Fuzz runs must be a positive integer");
+  }
+
+  if (!Number.isInteger(seed)) {
+    throw new ZodFnError("Fuzz seed must be an integer");
+  }
+
+  if (!Number.isInteger(maxShrinks) || maxShrinks < 0) {
+    throw new ZodFnError("Fuzz maxShrinks must be a non-negative integer");
+  }
+
+  if (isExpectedError !== undefined && typeof isExpectedError !== "function") {
+    throw new ZodFnError("Fuzz isExpectedError must be a function");
+  }
+
+  const { parameters } = zfn.toJSONSchema(fn, { override: markZodTypes });
+  const validators = { args: getArgsValidator(fn), return: getReturnValidator(fn) };
+  const random = getRandom(seed);
+  const maxDiscarded = runs * 10;
+  const label = fn._options.name ? ` of ${fn._options.name}` : "";
+  let discarded = 0;
+
+  for (let run = 1; run <= runs;) {
+    const args = generateArgs(fn, parameters, random);
+    const result = await runCase(fn, args, validators, isExpectedError);
+
+    if (result.discarded) {
+      if (++discarded > maxDiscarded) {
+        throw new ZodFnError(
+          `Fuzzing${label} gave up after ${discarded} generated arguments failed validation (seed ${seed})`,
+          { functionName: fn._options.name },
+        );
+      }
+
+      continue;
+    }
+
+    if (result.error !== undefined) {
+      const shrunk = await shrinkCase(
+        fn,
+        { args, error: result.error },
+        validators,
+        isExpectedError,
+        maxShrinks,
+      );
+      const message = shrunk.error instanceof Error ? shrunk.error.message : String(shrunk.error);
+
+      throw new ZodFnFuzzError(
+        `Fuzzing${label} failed on run ${run} (seed ${seed}) with arguments ` +
+          `${inspect(shrunk.args, { depth: maxDepth, breakLength: Infinity })} - ${message}`,
+        {
+          functionName: fn._options.name,
+          seed,
+          run,
+          args: shrunk.args,
+          originalArgs: args,
+          shrinks: shrunk.shrinks,
+          cause: shrunk.error,
+        },
+      );
+    }
+
+    run++;
+  }
+
+  return { seed, runs, discarded };
+}
+
+module.exports = { fuzz, ZodFnFuzzError };
@@ -1,7 +1,10 @@
+const http = require("node:http");
+const v8 = require("node:v8");
+const vm = require("node:vm");
 const { z: z3 } = require("zod/v3");
 const { z: z4 } = require("zod/v4");
 const { z: z4mini } = require("zod/v4-mini");
-const { zfn, ZodFnError } = require("..");
+const { zfn, ZodFnError, ZodFnTimeoutError } = require("..");
 
 describe("zodfn", function () {
   describe("default function", function () {
@@ -147,6 +150,71 @@ describe("zodfn", function () {
       }
     });
 
+    test("queued mocks", async function () {
+      let fn = zfn
+        .args(z4.number())
+        .returns(z4.number())
+        .create((a) => a);
+
+      fn.mockOnce((a) => a * 2)
+        .mockOnce((a) => a * 3)
+        .mockReturnOnce(100);
+
+      expect(fn(1)).toBe(2);
+      expect(fn(1)).toBe(3);
+      expect(fn(1)).toBe(100);
+      expect(fn(1)).toBe(1);
+
+      fn.mock((a) => a * 10).mockOnce((a) => a * 2);
+      expect(fn(1)).toBe(2);
+      expect(fn(1)).toBe(10);
+
+      fn.mockReturnValue(7);
+      expect(fn(1)).toBe(7);
+      expect(fn(2)).toBe(7);
+
+      fn.mockReturnOnce("1");
+      expect(() => fn(1)).toThrow(
+        "Validation failed for return value - Invalid input: expected number, received string",
+      );
+      expect(fn(1)).toBe(7);
+
+      fn.mockOnce(() => 1);
+      expect(() => fn("1")).toThrow("Validation failed for 1st argument");
+      expect(fn(5)).toBe(1);
+
+      fn.mockOnce(() => 1).resetMock();
+      expect(fn(5)).toBe(5);
+
+      fn.record().mockReturnOnce(3);
+      fn(1);
+      expect(fn.lastCall.mocked).toBe(true);
+      fn(1);
+      expect(fn.lastCall.mocked).toBe(false);
+
+      fn = zfn.returns(z4.string()).create(async () => "original");
+
+      fn.mockResolvedOnce("first").mockRejectedOnce(new Error("second")).mockResolvedOnce(1);
+
+      expect(await fn()).toBe("first");
+      await expect(fn()).rejects.toThrow("second");
+      await expect(fn()).rejects.toThrow("Validation failed for return value");
+      expect(await fn()).toBe("original");
+
+      fn.mockResolvedValue("resolved");
+      expect(await fn()).toBe("resolved");
+      expect(await fn()).toBe("resolved");
+
+      fn.mockRejectedValue(new Error("rejected"));
+      await expect(fn()).rejects.toThrow("rejected");
+
+      fn.onError(() => "fallback");
+      expect(await fn()).toBe("fallback");
+
+      expect(() => fn.mockOnce()).toThrow("Mock function argument not provided");
+      expect(() => fn.mockOnce(1)).toThrow("Mock argument must be a function");
+    });
+
     test("spying", async () => {
       let num = 0;
       let fn = zfn.create((a, b) => a + b);
@@ -192,6 +260,23 @@ describe("zodfn", function () {
       expect(() => zfn.create(() => 10).spy(async () => {})()).toThrow(
         "Spy handler function cannot return a promise in a synchronous context",
       );
+
+      // validated functions spy the same way
+      const validated = zfn
+        .args(z4.number())
+        .create(async (a) => a)
+        .spy(async (args, ret) => {
+          num += ret;
+        });
+
+      await validated(2);
+      expect(num).toBe(5);
+      expect(() =>
+        zfn
+          .args(z4.number())
+          .create(() => 10)
+          .spy(async () => {})(1),
+      ).toThrow("Spy handler function cannot return a promise in a synchronous context");
     });
 
     test("onError", async function () {
@@ -258,6 +343,24 @@ describe("zodfn", function () {
       expect(() => fn(10)).toThrow(
         "Validation failed for 1st argument - Invalid input: expected string, received number",
       );
+
+      // validated functions handle errors the same way
+      fn = zfn
+        .args(z4.number())
+        .create(async () => {
+          throw new Error("Error message");
+        })
+        .onError(async (error, [num]) => `recovered ${num}`);
+
+      expect(await fn(1)).toBe("recovered 1");
+      expect(() =>
+        zfn
+          .args(z4.number())
+          .create(() => {
+            throw new Error("Error message");
+          })
+          .onError(async () => "recovered")(1),
+      ).toThrow("onError handler function cannot return a promise in a synchronous context");
     });
 
     test("validation errors", async function () {
@@ -400,23 +503,1943 @@ describe("zodfn", function () {
         );
       }
 
-      fn = zfn.returns(z4.number()).create((a, b) => a + b);
-      fn.mock((a, b) => String(a + b));
+      fn = zfn.returns(z4.number()).create((a, b) => a + b);
+      fn.mock((a, b) => String(a + b));
+
+      expect(() => fn(5, 13)).toThrow(
+        "Validation failed for return value - Invalid input: expected number, received string",
+      );
+
+      try {
+        fn.mock(async (a, b) => a ** b);
+        await fn(1, "_");
+      } catch (error) {
+        expect(error.message).toBe(
+          "Validation failed for return value - Invalid input: expected number, received NaN",
+        );
+      }
+
+      fn.resetMock();
+    });
+
+    test("arity", function () {
+      let fn = zfn.args(z4.number(), z3.string()).create((a, b) => [a, b]);
+
+      expect(() => fn()).toThrow(
+        "Validation failed for 1st argument - Invalid input: expected number, received undefined",
+      );
+      expect(() => fn(1)).toThrow("Validation failed for 2nd argument - Required");
+      expect(fn(1, "a", true)).toEqual([1, "a"]);
+
+      fn = zfn
+        .args(z4.number(), z4.string().optional(), z4.number().default(3))
+        .create((...args) => args);
+
+      expect(fn(1)).toEqual([1, undefined, 3]);
+      expect(fn(1, "a", 2, "extra")).toEqual([1, "a", 2, "extra"]);
+
+      fn = zfn
+        .args(z4.number(), z4.number().optional())
+        .strict()
+        .create((...args) => args);
+
+      expect(fn(1)).toEqual([1, undefined]);
+      expect(fn(1, 2)).toEqual([1, 2]);
+      expect(() => fn(1, 2, 3)).toThrow(
+        "Validation failed for 3rd argument - Expected at most 2 arguments, received 3",
+      );
+
+      let error;
+
+      try {
+        fn(1, 2, 3, 4);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error instanceof ZodFnError).toBe(true);
+      expect(error.kind).toBe("argument");
+      expect(error.position).toBe(3);
+      expect(error.issues.map((issue) => [issue.position, issue.code])).toEqual([
+        [3, "too_many_arguments"],
+        [4, "too_many_arguments"],
+      ]);
+
+      fn = zfn.strict().create(() => 1);
+
+      expect(fn()).toBe(1);
+      expect(() => fn(1)).toThrow(
+        "Validation failed for 1st argument - Expected at most 0 arguments, received 1",
+      );
+
+      fn = zfn
+        .strict()
+        .args(z4.number())
+        .create(async (a) => a);
+      expect(() => fn(1, 2)).toThrow("Expected at most 1 argument, received 2");
+    });
+
+    test("rest arguments", function () {
+      let fn = zfn
+        .args(z4.string())
+        .rest(z4.number())
+        .create((label, ...nums) => `${label}: ${nums.reduce((a, b) => a + b, 0)}`);
+
+      expect(fn("sum")).toBe("sum: 0");
+      expect(fn("sum", 1, 2, 3)).toBe("sum: 6");
+      expect(() => fn("sum", 1, "2", 3)).toThrow(
+        "Validation failed for 3rd argument - Invalid input: expected number, received string",
+      );
+
+      let error;
+
+      try {
+        fn("sum", 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, "11");
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.position).toBe(12);
+      expect(error.message).toBe(
+        "Validation failed for 12th argument - Invalid input: expected number, received string",
+      );
+
+      fn = zfn
+        .rest(z3.string().transform((val) => val.toUpperCase()))
+        .strict()
+        .create((...parts) => parts.join(" "));
+
+      expect(fn()).toBe("");
+      expect(fn("a", "b", "c")).toBe("A B C");
+      expect(() => fn("a", 1)).toThrow(
+        "Validation failed for 2nd argument - Expected string, received number",
+      );
+
+      expect(() => zfn.rest()).toThrow("Rest schema not provided");
+      expect(() => zfn.rest(1)).toThrow("Rest argument must be a valid Zod schema");
+    });
+
+    test("registry", async function () {
+      const double = zfn
+        .args(z4.number())
+        .create((a) => a * 2)
+        .register();
+      const triple = zfn
+        .args(z4.number())
+        .create((a) => a * 3)
+        .register("math");
+      const square = zfn.createAsync((a) => a * a).register("math", "async");
+      const unregistered = zfn.create((a) => a);
+
+      let spied = 0;
+
+      double.mock(() => 0).spy(() => spied++);
+      triple.mock(() => 0).spy(() => spied++);
+      square.mock(() => 0);
+      unregistered.mock(() => 0);
+
+      expect(zfn.resetAllMocks("async")).toBe(zfn);
+      expect(await square(2)).toBe(4);
+      expect(triple(2)).toBe(0);
+
+      zfn.resetAllMocks("math");
+      expect(triple(2)).toBe(6);
+      expect(double(2)).toBe(0);
+
+      zfn.resetAllMocks();
+      expect(double(2)).toBe(4);
+      expect(unregistered(2)).toBe(0);
+      expect(spied).toBe(4);
+
+      zfn.resetAllSpies();
+      double(2);
+      triple(2);
+      expect(spied).toBe(4);
+
+      double
+        .mock(() => 0)
+        .spy(() => spied++)
+        .record();
+      double(2);
+      zfn.restoreAll();
+      expect(double(2)).toBe(4);
+      expect(spied).toBe(5);
+      expect(double.calls).toEqual([]);
+
+      triple.unregister().mock(() => 0);
+      zfn.restoreAll();
+      expect(triple(2)).toBe(0);
+
+      expect(zfn.registerAll()).toBe(zfn);
+      const autoRegistered = zfn.create((a) => a).mock(() => 0);
+      zfn.registerAll(false);
+      const notRegistered = zfn.create((a) => a).mock(() => 0);
+
+      zfn.resetAllMocks();
+      expect(autoRegistered(1)).toBe(1);
+      expect(notRegistered(1)).toBe(0);
+
+      for (const fn of [double, square, autoRegistered]) {
+        fn.unregister();
+      }
+
+      // callback wrappers are not registered
+      zfn.registerAll();
+      const callbacks = [];
+      const withCallback = zfn
+        .args(zfn.args(z4.number()).returns(z4.string()))
+        .create((callback) => {
+          callbacks.push(callback.mock(() => "mocked"));
+          return callback(1);
+        });
+      zfn.registerAll(false);
+
+      withCallback(String);
+      withCallback(String);
+      zfn.resetAllMocks();
+      expect(callbacks.map((callback) => callback(1))).toEqual(["mocked", "mocked"]);
+      withCallback.unregister();
+
+      // registered functions can still be garbage collected
+      v8.setFlagsFromString("--expose-gc");
+      const gc = vm.runInNewContext("gc");
+      const ref = new WeakRef(zfn.create(() => {}).register("collected"));
+
+      await new Promise((resolve) => setTimeout(resolve));
+      gc();
+      expect(ref.deref()).toBeUndefined();
+      expect(zfn.resetAllMocks("collected")).toBe(zfn);
+    });
+
+    test("names", async function () {
+      let fn = zfn
+        .name("createOrder", ["userId", "items"])
+        .args(z4.string(), z4.array(z4.object({ id: z4.number() })))
+        .returns(z4.string())
+        .strict()
+        .create((userId) => userId);
+
+      expect(fn.name).toBe("createOrder");
+      expect(fn("a", [])).toBe("a");
+
+      let error;
+
+      try {
+        fn("a", [{ id: "1" }]);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).toBe(
+        "Validation failed for 2nd argument (items) of createOrder - Path: 0.id - Invalid input: expected number, received string",
+      );
+      expect(error.functionName).toBe("createOrder");
+      expect(error.paramName).toBe("items");
+      expect(error.issues[0].paramName).toBe("items");
+
+      expect(() => fn(1, [])).toThrow(
+        "Validation failed for 1st argument (userId) of createOrder - Invalid input",
+      );
+      expect(() => fn("a", [], 1)).toThrow(
+        "Validation failed for 3rd argument of createOrder - Expected at most 2 arguments, received 3",
+      );
+
+      fn.mock(() => 1);
+
+      try {
+        fn("a", []);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).toBe(
+        "Validation failed for return value of createOrder - Invalid input: expected string, received number",
+      );
+      expect(error.functionName).toBe("createOrder");
+      expect(error.paramName).toBe(undefined);
+
+      fn = zfn.name("ping").create(() => "pong");
+      expect(fn.name).toBe("ping");
+
+      fn = zfn.create(function namedFunction() {});
+      expect(fn.name).toBe("namedFunction");
+
+      fn = zfn
+        .name("registered")
+        .create(() => 1)
+        .register();
+      fn.mock(() => 0);
+      zfn.resetAllMocks("registered");
+      expect(fn()).toBe(1);
+      fn.unregister();
+
+      expect(() => zfn.name()).toThrow("Function name not provided");
+      expect(() => zfn.name(1)).toThrow("Function name must be a string");
+      expect(() => zfn.name("a", "b")).toThrow("Parameter names must be an array of strings");
+      expect(() => zfn.name("a", [1])).toThrow("Parameter names must be an array of strings");
+    });
+
+    test("named parameters", function () {
+      const fn = zfn
+        .name("createOrder")
+        .params(
+          z4.object({
+            userId: z4.string(),
+            items: z4.array(z4.object({ id: z4.number() })),
+            note: z4.string().optional(),
+          }),
+        )
+        .returns(z4.number())
+        .create(({ items }) => items.length);
+
+      expect(fn({ userId: "a", items: [{ id: 1 }] })).toBe(1);
+
+      let error;
+
+      try {
+        fn({ userId: "a", items: [{ id: "1" }], note: 1 });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).toBe(
+        "Validation failed for items parameter of createOrder - Path: 0.id - Invalid input: expected number, received string (and 1 more issue)",
+      );
+      expect(error.kind).toBe("argument");
+      expect(error.position).toBe(1);
+      expect(error.paramName).toBe("items");
+      expect(error.issues.map((issue) => [issue.paramName, issue.path])).toEqual([
+        ["items", [0, "id"]],
+        ["note", []],
+      ]);
+
+      expect(() => fn()).toThrow(
+        "Validation failed for parameters of createOrder - Invalid input: expected object, received undefined",
+      );
+
+      const positional = zfn.toPositional(fn);
+      expect(positional("a", [{ id: 1 }, { id: 2 }])).toBe(2);
+      expect(() => positional(1, [])).toThrow("Validation failed for userId parameter");
+
+      const reordered = zfn.toPositional(fn, ["items", "userId"]);
+      expect(reordered([{ id: 1 }], "a")).toBe(1);
+
+      const add = zfn
+        .name("add", ["a", "b"])
+        .args(z4.number(), z4.number())
+        .create(function (a, b) {
+          return a + b + (this?.offset ?? 0);
+        });
+
+      const named = zfn.toNamed(add);
+      expect(named({ a: 1, b: 2 })).toBe(3);
+      expect(named.call({ offset: 10 }, { a: 1, b: 2 })).toBe(13);
+      expect(() => named({ a: 1 })).toThrow("Validation failed for 2nd argument (b) of add");
+      expect(zfn.toNamed((a, b) => [a, b], ["x", "y"])({ y: 2 })).toEqual([undefined, 2]);
+
+      expect(
+        zfn
+          .params(z4.object({ a: z4.number() }))
+          .args(z4.string())
+          .create((a) => a)("a"),
+      ).toBe("a");
+
+      expect(() => zfn.params()).toThrow("Parameters schema not provided");
+      expect(() => zfn.params(z4.string())).toThrow(
+        "Parameters schema must be a Zod object schema",
+      );
+      expect(() => zfn.params(z3.object({})).rest(z3.string())).toThrow(
+        "Rest schema cannot be used with named parameters",
+      );
+      expect(() => zfn.toNamed()).toThrow("Function argument not provided");
+      expect(() => zfn.toPositional(1)).toThrow("Function argument must be a function");
+      expect(() => zfn.toNamed(() => {})).toThrow("Parameter keys not provided");
+      expect(() => zfn.toPositional(add)).toThrow("Parameter keys not provided");
+      expect(() => zfn.toNamed(() => {}, "a")).toThrow(
+        "Parameter keys must be an array of strings",
+      );
+    });
+
+    test("callbacks", async function () {
+      const subscribe = zfn
+        .name("subscribe", ["topic", "onMessage"])
+        .args(z4.string(), zfn.args(z4.object({ id: z4.number() })).returns(z4.boolean()))
+        .create((topic, onMessage) => onMessage(topic === "bad" ? { id: "1" } : { id: 1 }));
+
+      expect(subscribe("a", (message) => message.id === 1)).toBe(true);
+
+      let error;
+
+      try {
+        subscribe("bad", () => true);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error instanceof ZodFnError).toBe(true);
+      expect(error.message).toBe(
+        "Validation failed for 1st argument of callback in 2nd argument (onMessage) of subscribe - Path: id - Invalid input: expected number, received string",
+      );
+      expect(error.kind).toBe("argument");
+      expect(error.position).toBe(1);
+      expect(error.parent).toEqual({
+        position: 2,
+        functionName: "subscribe",
+        paramName: "onMessage",
+        parent: undefined,
+      });
+
+      expect(() => subscribe("a", () => "yes")).toThrow(
+        "Validation failed for return value of callback in 2nd argument (onMessage) of subscribe - Invalid input: expected boolean, received string",
+      );
+
+      try {
+        subscribe("a", "not a function");
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).toBe(
+        "Validation failed for 2nd argument (onMessage) of subscribe - Invalid input: expected function, received string",
+      );
+      expect(error.issues[0].code).toBe("invalid_type");
+      expect(error.parent).toBe(undefined);
+
+      expect(() => subscribe("a")).toThrow("expected function, received undefined");
+      expect(() => subscribe("a", null)).toThrow("expected function, received null");
+
+      const map = zfn
+        .args(
+          z4.array(z4.number()),
+          zfn.name("mapper").args(z4.number(), z4.number()).returns(z4.number()),
+        )
+        .create((nums, mapper) => nums.map((num, index) => mapper(num, index)));
+
+      expect(map([1, 2], (num, index) => num * index)).toEqual([0, 2]);
+      expect(() => map([1, 2], () => "1")).toThrow(
+        "Validation failed for return value of mapper in 2nd argument - Invalid input",
+      );
+
+      const nested = zfn
+        .name("outer")
+        .args(zfn.args(zfn.args(z4.string())))
+        .create((run) => run((value) => value));
+
+      expect(() => nested((inner) => inner(1))).toThrow(
+        "Validation failed for 1st argument of callback in 1st argument of callback in 1st argument of outer - Invalid input: expected string, received number",
+      );
+
+      // the same callback gets the same wrapper, even across functions sharing the builder
+      const listenerSchema = zfn.args(z4.string());
+      const listeners = new Set();
+      const on = zfn.args(listenerSchema).create((listener) => listeners.add(listener));
+      const off = zfn.args(listenerSchema).create((listener) => listeners.delete(listener));
+      const listener = () => {};
+
+      on(listener);
+      on(listener);
+      expect(listeners.size).toBe(1);
+      expect(off(listener)).toBe(true);
+      expect(listeners.size).toBe(0);
+      expect(() => on(listener) && [...listeners][0](1)).toThrow(
+        "Validation failed for 1st argument of callback in 1st argument - Invalid input",
+      );
+
+      const each = zfn.rest(zfn.args(z4.number())).create((...fns) => fns.map((fn) => fn(1)));
+      expect(
+        each(
+          (a) => a + 1,
+          (a) => a + 2,
+        ),
+      ).toEqual([2, 3]);
+
+      const later = zfn
+        .args(zfn.args(z4.number()).returns(z4.number()))
+        .createAsync(async (fn) => fn(1));
+      expect(await later(async (a) => a + 1)).toBe(2);
+      await expect(later(async () => "2")).rejects.toThrow(
+        "Validation failed for return value of callback in 1st argument - Invalid input",
+      );
+    });
+
+    test("validation modes", async function () {
+      const warnings = [];
+      const onWarn = (error) => warnings.push(error);
+
+      let fn = zfn
+        .args(z4.number().transform((val) => val * 2))
+        .returns(z4.number())
+        .strict()
+        .validation("warn", { onWarn })
+        .create((a) => a);
+
+      expect(fn(2)).toBe(4);
+      expect(fn("2")).toBe("2");
+      expect(fn(1, 2)).toBe(2);
+      expect(warnings.map((error) => error.message)).toEqual([
+        "Validation failed for 1st argument - Invalid input: expected number, received string",
+        "Validation failed for return value - Invalid input: expected number, received string",
+        "Validation failed for 2nd argument - Expected at most 1 argument, received 2",
+      ]);
+      expect(warnings.every((error) => error instanceof ZodFnError)).toBe(true);
+
+      warnings.length = 0;
+
+      fn = zfn
+        .args(z4.number(), zfn.args(z4.number()))
+        .validation("warn", { onWarn })
+        .create(async (a, cb) => cb);
+
+      expect(await fn(1, "cb")).toBe("cb");
+      expect(warnings[0].message).toBe(
+        "Validation failed for 2nd argument - Invalid input: expected function, received string",
+      );
+
+      let calls = 0;
+
+      fn = zfn
+        .args(z4.number().transform((val) => val * 2))
+        .returns(z4.number())
+        .validation("off")
+        .create((a) => {
+          calls++;
+          return a;
+        });
+
+      expect(fn("2")).toBe("2");
+      expect(fn(2, 3)).toBe(2);
+      expect(calls).toBe(2);
+
+      fn.mock(() => "mocked");
+      expect(fn(1)).toBe("mocked");
+
+      const random = jest.spyOn(Math, "random");
+
+      fn = zfn
+        .args(z4.number())
+        .validation("sample", { sampleRate: 0.5 })
+        .create((a) => a);
+
+      random.mockReturnValue(0.4);
+      expect(() => fn("1")).toThrow("Validation failed for 1st argument");
+
+      random.mockReturnValue(0.6);
+      expect(fn("1")).toBe("1");
+
+      fn = zfn.args(z4.number()).create((a) => a);
+
+      zfn.configure({ validation: "off" });
+      expect(fn("1")).toBe("1");
+
+      zfn.configure({ validation: "sample", sampleRate: 0.1 });
+      random.mockReturnValue(0.05);
+      expect(() => fn("1")).toThrow("Validation failed for 1st argument");
+      random.mockReturnValue(0.5);
+      expect(fn("1")).toBe("1");
+
+      expect(zfn.configure({ validation: "warn", onWarn })).toBe(zfn);
+      warnings.length = 0;
+      expect(fn("1")).toBe("1");
+      expect(warnings.length).toBe(1);
+
+      const strictFn = zfn
+        .args(z4.number())
+        .validation("strict")
+        .create((a) => a);
+      expect(() => strictFn("1")).toThrow("Validation failed for 1st argument");
+
+      random.mockRestore();
+      zfn.configure({
+        validation: "strict",
+        sampleRate: 1,
+        onWarn: (error) => console.warn(error),
+      });
+      expect(() => fn("1")).toThrow("Validation failed for 1st argument");
+
+      expect(() => zfn.validation()).toThrow("Validation mode not provided");
+      expect(() => zfn.validation("loud")).toThrow(
+        "Validation mode must be one of: strict, warn, sample, off",
+      );
+      expect(() => zfn.validation("sample", { sampleRate: 2 })).toThrow(
+        "Sample rate must be a number between 0 and 1",
+      );
+      expect(() => zfn.validation("warn", { onWarn: 1 })).toThrow(
+        "onWarn handler must be a function",
+      );
+      expect(() => zfn.configure()).toThrow("Configuration options not provided");
+      expect(() => zfn.configure({ validation: "loud" })).toThrow(
+        "Validation mode must be one of: strict, warn, sample, off",
+      );
+      expect(() => zfn.configure({ sampleRate: -1 })).toThrow(
+        "Sample rate must be a number between 0 and 1",
+      );
+      expect(() => zfn.configure({ onWarn: "log" })).toThrow("onWarn handler must be a function");
+    });
+
+    test("validation mode from environment", function () {
+      process.env.ZODFN_VALIDATION = "sample";
+      process.env.ZODFN_SAMPLE_RATE = "0";
+
+      jest.isolateModules(() => {
+        const { zfn: isolatedZfn } = require("..");
+        const fn = isolatedZfn.args(z4.number()).create((a) => a);
+
+        expect(fn("1")).toBe("1");
+      });
+
+      process.env.ZODFN_VALIDATION = "loud";
+      process.env.ZODFN_SAMPLE_RATE = "";
+
+      jest.isolateModules(() => {
+        const { zfn: isolatedZfn } = require("..");
+        const fn = isolatedZfn.args(z4.number()).create((a) => a);
+
+        expect(() => fn("1")).toThrow("Validation failed for 1st argument");
+      });
+
+      delete process.env.ZODFN_VALIDATION;
+      delete process.env.ZODFN_SAMPLE_RATE;
+    });
+
+    test("this", async function () {
+      const counter = {
+        count: 1,
+        add: zfn.args(z4.number()).create(function (num) {
+          this.count += num;
+          return this.count;
+        }),
+        addAsync: zfn.args(z4.number()).create(async function (num) {
+          this.count += num;
+          return this.count;
+        }),
+      };
+
+      expect(counter.add(2)).toBe(3);
+      expect(await counter.addAsync(3)).toBe(6);
+      expect(counter.add.call({ count: 10 }, 5)).toBe(15);
+
+      counter.add.mock(function (num) {
+        return this.count * num;
+      });
+      expect(counter.add(2)).toBe(12);
+    });
+
+    test("method decorator", function () {
+      const decorator = zfn.args(z4.number()).returns(z4.number()).method();
+
+      class Calculator {
+        factor = 3;
+
+        multiply(num) {
+          return num * this.factor;
+        }
+      }
+
+      Calculator.prototype.multiply = decorator(Calculator.prototype.multiply, {
+        kind: "method",
+        name: "multiply",
+      });
+
+      const calculator = new Calculator();
+
+      expect(calculator.multiply(2)).toBe(6);
+      expect(() => calculator.multiply("2")).toThrow(
+        "Validation failed for 1st argument of multiply - Invalid input: expected number, received string",
+      );
+      expect(calculator.multiply.name).toBe("multiply");
+
+      let spyArgs;
+      Calculator.prototype.multiply.mock(() => 1).spy((args) => (spyArgs = args));
+      expect(calculator.multiply(5)).toBe(1);
+      expect(spyArgs).toEqual([5]);
+
+      Calculator.prototype.multiply.resetMock().resetSpy();
+      expect(calculator.multiply(5)).toBe(15);
+
+      expect(zfn.getMethod(Calculator.prototype, "multiply")).toBe(Calculator.prototype.multiply);
+      expect(() => zfn.getMethodAsync(Calculator.prototype, "multiply")).toThrow(
+        "Method multiply is not decorated with methodAsync()",
+      );
+      expect(() => zfn.getMethod(Calculator.prototype, "divide")).toThrow(
+        "Method divide is not decorated with method()",
+      );
+      expect(() => zfn.getMethod(null, "multiply")).toThrow(
+        "Method multiply is not decorated with method()",
+      );
+      expect(() => zfn.getMethod(1, "multiply")).toThrow("Method target must be an object");
+
+      expect(() => decorator(() => {}, { kind: "field", name: "a" })).toThrow(
+        "Method decorator can only be applied to class methods",
+      );
+      expect(() => decorator(() => {})).toThrow(
+        "Method decorator can only be applied to class methods",
+      );
+    });
+
+    test("recording", async function () {
+      let fn = zfn
+        .args(z4.string().transform((val) => Number(val)))
+        .returns(z4.number())
+        .create((a) => {
+          if (a < 0) throw new Error("Negative number");
+          return a * 2;
+        });
+
+      fn("1");
+      expect(fn.calls).toEqual([]);
+      expect(fn.lastCall).toBe(undefined);
+
+      expect(fn.record()).toBe(fn);
+      expect(fn("2")).toBe(4);
+
+      expect(fn.calls.length).toBe(1);
+      expect(fn.lastCall).toEqual({
+        args: [2],
+        rawArgs: ["2"],
+        status: "returned",
+        result: 4,
+        error: undefined,
+        mocked: false,
+        attempt: 1,
+        startTime: expect.any(Number),
+        duration: expect.any(Number),
+      });
+
+      expect(() => fn(2)).toThrow("Validation failed for 1st argument");
+      expect(fn.lastCall.args).toBe(undefined);
+      expect(fn.lastCall.rawArgs).toEqual([2]);
+      expect(fn.lastCall.status).toBe("threw");
+      expect(fn.lastCall.error instanceof ZodFnError).toBe(true);
+
+      expect(() => fn("-1")).toThrow("Negative number");
+      expect(fn.lastCall.args).toEqual([-1]);
+      expect(fn.lastCall.error.message).toBe("Negative number");
+
+      fn.mock(() => 10);
+      fn("3");
+      expect(fn.lastCall.mocked).toBe(true);
+      expect(fn.lastCall.result).toBe(10);
+      expect(fn.calls.map((call) => call.status)).toEqual([
+        "returned",
+        "threw",
+        "threw",
+        "returned",
+      ]);
+
+      expect(fn.clearCalls()).toBe(fn);
+      expect(fn.calls).toEqual([]);
+      fn("3");
+      expect(fn.calls.length).toBe(1);
+
+      expect(fn.resetRecord()).toBe(fn);
+      fn("3");
+      expect(fn.calls).toEqual([]);
+      expect(fn.clearCalls().calls).toEqual([]);
+
+      fn = zfn
+        .returns(z4.number())
+        .create(async (a) => a)
+        .record();
+
+      const promise = fn(1);
+      expect(fn.lastCall.status).toBe("pending");
+      expect(fn.lastCall.duration).toBe(undefined);
+      expect(await promise).toBe(1);
+      expect(fn.lastCall.status).toBe("returned");
+      expect(fn.lastCall.result).toBe(1);
+
+      await expect(fn("1")).rejects.toThrow("Validation failed for return value");
+      expect(fn.lastCall.status).toBe("threw");
+      expect(fn.lastCall.error.kind).toBe("return");
+    });
+
+    test("retry", async function () {
+      let attempts = 0;
+
+      const fn = zfn
+        .args(z4.number())
+        .returns(z4.number())
+        .create(async (num) => {
+          attempts++;
+          if (attempts < 3) throw new Error(`Attempt ${attempts} failed`);
+          return num * 2;
+        })
+        .retry({ attempts: 3 })
+        .record();
+
+      expect(await fn(2)).toBe(4);
+      expect(attempts).toBe(3);
+      expect(fn.calls.map((call) => call.attempt)).toEqual([1, 2, 3]);
+
+      attempts = 0;
+      fn.retry({ attempts: 2 }).onError((error) => (error.message === "Attempt 2 failed" ? -1 : 0));
+      expect(await fn(2)).toBe(-1);
+
+      // synchronous implementations are not retried
+      attempts = 0;
+      const syncFn = zfn
+        .create(() => {
+          attempts++;
+          throw new Error("Sync error");
+        })
+        .retry();
+
+      expect(() => syncFn()).toThrow("Sync error");
+      expect(attempts).toBe(1);
+    });
+
+    test("memoize", async function () {
+      const impl = jest.fn((id, options) => `${id}: ${options.verbose}`);
+
+      const fn = zfn
+        .args(z4.coerce.number(), z4.object({ verbose: z4.boolean().default(false) }))
+        .returns(z4.string())
+        .create(impl)
+        .memoize();
+
+      // the cache is keyed on the parsed arguments
+      expect(fn("1", {})).toBe("1: false");
+      expect(fn(1, { verbose: false })).toBe("1: false");
+      expect(impl).toHaveBeenCalledTimes(1);
+      expect(fn.cache.size).toBe(1);
+
+      expect(fn(1, { verbose: true })).toBe("1: true");
+      expect(impl).toHaveBeenCalledTimes(2);
+
+      expect(fn.cache.delete(1, { verbose: true })).toBe(true);
+      expect(fn.cache.delete(1, { verbose: true })).toBe(false);
+      expect(fn(1, { verbose: true })).toBe("1: true");
+      expect(impl).toHaveBeenCalledTimes(3);
+
+      fn.cache.clear();
+      expect(fn.cache.size).toBe(0);
+
+      // mocks clear the cache
+      fn(2, {});
+      fn.mock(() => "mocked");
+      expect(fn(2, {})).toBe("mocked");
+      fn.resetMock();
+      expect(fn(2, {})).toBe("2: false");
+      fn.mockReturnOnce("once");
+      expect(fn(2, {})).toBe("once");
+
+      // onError values are not cached
+      let fail = true;
+      const lookup = zfn
+        .args(z4.string())
+        .create((key) => {
+          if (fail) throw new Error("Lookup failed");
+          return key.toUpperCase();
+        })
+        .onError(() => "fallback")
+        .memoize({ key: (key) => key });
+
+      expect(lookup("a")).toBe("fallback");
+      fail = false;
+      expect(lookup("a")).toBe("A");
+      fail = true;
+      expect(lookup("a")).toBe("A");
+
+      // max evicts the least recently used entry, ttl expires entries
+      const square = jest.fn((num) => num * num);
+      const memoized = zfn.args(z4.number()).create(square).memoize({ max: 2, ttl: 20 });
+
+      memoized(1);
+      memoized(2);
+      memoized(1);
+      memoized(3);
+      expect(memoized.cache.size).toBe(2);
+      memoized(1);
+      expect(square).toHaveBeenCalledTimes(3);
+      memoized(2);
+      expect(square).toHaveBeenCalledTimes(4);
+
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      memoized(1);
+      expect(square).toHaveBeenCalledTimes(5);
+
+      // results are cached per receiver, calls without one share a cache
+      class Counter {
+        constructor(start) {
+          this.start = start;
+        }
+      }
+
+      Counter.prototype.add = zfn
+        .args(z4.number())
+        .create(function (num) {
+          return this.start + num;
+        })
+        .memoize();
+
+      const small = new Counter(1);
+
+      expect(small.add(1)).toBe(2);
+      expect(new Counter(100).add(1)).toBe(101);
+      expect(small.add(1)).toBe(2);
+      expect(Counter.prototype.add.cache.size).toBe(2);
+      expect(Counter.prototype.add.cache.delete(1)).toBe(true);
+      expect(Counter.prototype.add.cache.size).toBe(0);
+      small.add(1);
+      Counter.prototype.add.cache.clear();
+      expect(Counter.prototype.add.cache.size).toBe(0);
+
+      expect(() => fn.memoize({ key: "id" })).toThrow("Memoize key must be a function");
+      expect(() => fn.memoize({ ttl: 0 })).toThrow(
+        "Memoize ttl must be a positive number of milliseconds",
+      );
+      expect(() => fn.memoize({ max: 1.5 })).toThrow("Memoize max must be a positive integer");
+      expect(zfn.create(() => 1).cache.delete(1)).toBe(false);
+    });
+
+    test("middleware", async function () {
+      const log = [];
+
+      const logged = zfn.use((ctx, next) => {
+        log.push(`before ${ctx.functionName}: ${JSON.stringify(ctx.rawArgs)} -> ${ctx.args}`);
+        next();
+        log.push(`after: ${ctx.result}`);
+      });
+
+      const fn = logged
+        .args(z4.coerce.number())
+        .returns(z4.number())
+        .name("double")
+        .use((ctx, next) => {
+          log.push(`inner mocked: ${ctx.mocked}`);
+          ctx.args = [ctx.args[0] + 1];
+          next();
+          ctx.result *= 10;
+        })
+        .create((num) => {
+          log.push("impl");
+          return num * 2;
+        });
+
+      // middleware runs after argument validation, first registered is outermost
+      expect(fn("1")).toBe(40);
+      expect(log).toEqual([
+        'before double: ["1"] -> 1',
+        "inner mocked: false",
+        "impl",
+        "after: 40",
+      ]);
+
+      log.length = 0;
+      expect(() => fn("a")).toThrow("Validation failed for 1st argument of double");
+      expect(log).toEqual([]);
+
+      fn.mockReturnOnce(1);
+      expect(fn(1)).toBe(10);
+      expect(log[1]).toBe("inner mocked: true");
+
+      // results set by middleware are validated
+      const invalid = zfn
+        .returns(z4.number())
+        .use((ctx, next) => {
+          next();
+          ctx.result = String(ctx.result);
+        })
+        .create(() => 1);
+
+      expect(() => invalid()).toThrow("Validation failed for return value");
+
+      // short-circuit without calling the implementation
+      const impl = jest.fn(() => "secret");
+      const guarded = zfn
+        .args(z4.object({ role: z4.string() }))
+        .use((ctx, next) => {
+          if (ctx.args[0].role !== "admin") {
+            ctx.result = "forbidden";
+            return;
+          }
+          next();
+        })
+        .create(impl);
+
+      expect(guarded({ role: "user" })).toBe("forbidden");
+      expect(impl).not.toHaveBeenCalled();
+      expect(guarded({ role: "admin" })).toBe("secret");
+
+      // errors go through the middleware, then onError
+      const errors = [];
+      const failing = zfn
+        .use((ctx, next) => {
+          try {
+            next();
+          } catch (error) {
+            errors.push(error.message);
+            throw error;
+          }
+        })
+        .create(() => {
+          throw new Error("Failed");
+        })
+        .onError(() => "handled");
+
+      expect(failing()).toBe("handled");
+      expect(errors).toEqual(["Failed"]);
+
+      // async implementations
+      const timed = zfn
+        .use(async (ctx, next) => {
+          const start = Date.now();
+          await next();
+          ctx.result = `${ctx.result} in ${Date.now() - start}ms`;
+        })
+        .create(async () => "done");
+
+      expect(await timed()).toMatch(/^done in \d+ms$/);
+
+      const passThrough = zfn.use((ctx, next) => next()).create(async (a) => a);
+      expect(await passThrough(1)).toBe(1);
+
+      const rejected = zfn
+        .use((ctx, next) => next())
+        .create(async () => {
+          throw new Error("Rejected");
+        });
+      await expect(rejected()).rejects.toThrow("Rejected");
+
+      // async middleware can't wrap synchronous implementations
+      const asyncMiddleware = zfn.args(z4.number()).use(async (ctx, next) => {
+        await next();
+      });
+
+      expect(() => asyncMiddleware.create((x) => x)(1)).toThrow(
+        new ZodFnError("Middleware cannot return a promise in a synchronous context"),
+      );
+      expect(await asyncMiddleware.create(async (x) => x)(1)).toBe(1);
+      expect(await asyncMiddleware.createAsync((x) => x)(1)).toBe(1);
+
+      const twice = zfn.use((ctx, next) => (next(), next())).create(() => 1);
+      expect(() => twice()).toThrow("Middleware next() called more than once");
+
+      expect(() => zfn.use()).toThrow("Middleware function not provided");
+      expect(() => zfn.use(1)).toThrow("Middleware must be a function");
+    });
+
+    test("hooks", async function () {
+      class HttpError extends Error {
+        constructor(status, message) {
+          super(message);
+          this.status = status;
+        }
+      }
+
+      const log = [];
+      const onError = jest.fn(() => "handled");
+
+      const fn = zfn
+        .args(z4.string(), z4.number())
+        .returns(z4.string())
+        .name("repeat")
+        .create((str, num) => (num < 0 ? num : str.repeat(num)))
+        .beforeValidate((args) => {
+          log.push(["beforeValidate", args]);
+          return args.length === 1 ? [args[0], 1] : undefined;
+        })
+        .afterArgs((args) => {
+          log.push(["afterArgs", args]);
+        })
+        .beforeReturn((ret, args) => {
+          log.push(["beforeReturn", ret, args]);
+          return ret === "" ? "empty" : undefined;
+        })
+        .onValidationError((error) => {
+          throw new HttpError(error.kind === "argument" ? 400 : 500, error.message);
+        })
+        .onError(onError);
+
+      expect(fn("a", 2)).toBe("aa");
+      expect(log).toEqual([
+        ["beforeValidate", ["a", 2]],
+        ["afterArgs", ["a", 2]],
+        ["beforeReturn", "aa", ["a", 2]],
+      ]);
+
+      expect(fn("a")).toBe("a");
+      expect(fn("a", 0)).toBe("empty");
+
+      // validation errors go to onValidationError instead of onError
+      expect(() => fn(1, 2)).toThrow(
+        expect.objectContaining({
+          status: 400,
+          message: expect.stringContaining("Validation failed for 1st argument of repeat"),
+        }),
+      );
+      expect(() => fn("a", -1)).toThrow(expect.objectContaining({ status: 500 }));
+      expect(() => fn("a", 1, 2)).not.toThrow();
+      expect(onError).not.toHaveBeenCalled();
+
+      // fallback values are returned as is, without return validation or spy
+      const spy = jest.fn();
+      const withFallback = zfn
+        .args(z4.number())
+        .returns(z4.number())
+        .strict()
+        .create((num) => (num > 10 ? "big" : num))
+        .onValidationError((error, args) => (error.kind === "argument" ? args : -1))
+        .spy(spy)
+        .memoize();
+
+      expect(withFallback("1")).toEqual(["1"]);
+      expect(withFallback(1, 2)).toEqual([1, 2]);
+      expect(withFallback(11)).toBe(-1);
+      expect(withFallback(11)).toBe(-1);
+      expect(withFallback.cache.size).toBe(0);
+      expect(spy).not.toHaveBeenCalled();
+
+      // onError values are validated too
+      const failing = zfn
+        .returns(z4.number())
+        .create(() => {
+          throw new Error("Failed");
+        })
+        .onError(() => "fallback")
+        .onValidationError((error) => error.kind);
+
+      expect(failing()).toBe("return");
+
+      // async implementations
+      const asyncFn = zfn
+        .args(z4.number())
+        .returns(z4.number())
+        .create(async (num) => {
+          if (num < 0) throw new Error("Negative");
+          return num > 10 ? "big" : num;
+        })
+        .onValidationError((error) => `${error.kind} error`);
+
+      expect(await asyncFn(11)).toBe("return error");
+      asyncFn.onError(() => "fallback");
+      expect(await asyncFn(-1)).toBe("return error");
+      expect(asyncFn("1")).toBe("argument error");
+
+      // hooks of synchronous functions can't be async
+      const sync = zfn.args(z4.number()).create((num) => num);
+
+      for (const hookName of ["beforeValidate", "afterArgs", "beforeReturn"]) {
+        expect(() => sync[hookName](async () => undefined)(1)).toThrow(
+          new ZodFnError(`${hookName} hook cannot return a promise in a synchronous context`),
+        );
+        sync[hookName]((value) => value);
+      }
+
+      sync.onValidationError(async () => 5);
+      expect(() => sync("a")).toThrow(
+        new ZodFnError("onValidationError hook cannot return a promise in a synchronous context"),
+      );
+      expect(() =>
+        zfn
+          .returns(z4.number())
+          .create(() => "a")
+          .onValidationError(async () => 5)(),
+      ).toThrow(
+        new ZodFnError("onValidationError hook cannot return a promise in a synchronous context"),
+      );
+      expect(
+        await zfn
+          .returns(z4.number())
+          .create(async () => "a")
+          .onValidationError(async () => 5)(),
+      ).toBe(5);
+
+      expect(() => fn.beforeValidate()).toThrow("beforeValidate hook function not provided");
+      expect(() => fn.afterArgs(1)).toThrow("afterArgs hook must be a function");
+      expect(() => fn.beforeReturn(1)).toThrow("beforeReturn hook must be a function");
+      expect(() => fn.onValidationError(1)).toThrow("onValidationError hook must be a function");
+    });
+
+    test("JSON Schema", function () {
+      const $schema = "https://json-schema.org/draft/2020-12/schema";
+      const getContract = (z) =>
+        zfn
+          .args(z.string(), z.optional(z.object({ limit: z.number(), tags: z.array(z.string()) })))
+          .returns(z.array(z.object({ id: z.number() })))
+          .name("search", ["query", "options"]);
+
+      const expected = {
+        parameters: {
+          $schema,
+          type: "array",
+          prefixItems: [
+            { title: "query", type: "string" },
+            {
+              title: "options",
+              type: "object",
+              properties: {
+                limit: { type: "number" },
+                tags: { type: "array", items: { type: "string" } },
+              },
+              required: ["limit", "tags"],
+            },
+          ],
+          minItems: 1,
+        },
+        returns: {
+          $schema,
+          type: "array",
+          items: {
+            type: "object",
+            properties: { id: { type: "number" } },
+            required: ["id"],
+            additionalProperties: false,
+          },
+        },
+      };
+
+      expect(zfn.toJSONSchema(getContract(z3))).toEqual(expected);
+      expect(zfn.toJSONSchema(getContract(z4))).toEqual(expected);
+      expect(zfn.toJSONSchema(getContract(z4mini))).toEqual(expected);
+      expect(zfn.toJSONSchema(getContract(z4).create((query) => [{ id: query.length }]))).toEqual(
+        expected,
+      );
+
+      // rest, strict arity, callbacks and missing return schemas
+      expect(zfn.toJSONSchema(zfn.args(z4.string()).rest(z4.number()))).toEqual({
+        parameters: {
+          $schema,
+          type: "array",
+          prefixItems: [{ type: "string" }],
+          minItems: 1,
+          items: { type: "number" },
+        },
+        returns: { $schema },
+      });
+
+      expect(zfn.toJSONSchema(zfn.args(z4.date(), zfn.args(z4.number())).strict())).toEqual({
+        parameters: { $schema, type: "array", prefixItems: [{}, {}], minItems: 2, items: false },
+        returns: { $schema },
+      });
+
+      // named parameters are described as an object
+      expect(
+        zfn.toJSONSchema(zfn.params(z4.object({ id: z4.string(), page: z4.number().default(1) })))
+          .parameters,
+      ).toEqual({
+        $schema,
+        type: "object",
+        properties: { id: { type: "string" }, page: { type: "number", default: 1 } },
+        required: ["id"],
+      });
+
+      // Zod v3 schemas are converted like Zod v4 ones
+      const getSchemas = (z) => {
+        const Color = { Red: "red", Blue: "blue" };
+
+        return [
+          z.string().min(1).max(5).regex(/^a+$/),
+          z.string().email().describe("Email"),
+          z.number().int().min(0).max(10).multipleOf(2),
+          z.number().gt(0).lt(1),
+          z.boolean().nullable(),
+          z.null(),
+          z.literal("a"),
+          z.enum(["a", "b"]),
+          z.nativeEnum(Color),
+          z.object({ a: z.string() }).strict(),
+          z.object({ a: z.string().optional() }).catchall(z.number()),
+          z.array(z.number()).min(1).max(3),
+          z.tuple([z.string()]).rest(z.number()),
+          z.record(z.string(), z.number()),
+          z.union([z.string(), z.number()]),
+          z.discriminatedUnion("type", [z.object({ type: z.literal("a") })]),
+          z.intersection(z.object({ a: z.string() }), z.object({ b: z.string() })),
+          z.string().default("a").readonly(),
+          z.string().brand("Brand"),
+          z.string().refine(Boolean).pipe(z.string()),
+          z.date(),
+        ];
+      };
+
+      const v3Schemas = getSchemas(z3);
+      const v4Schemas = getSchemas(z4);
+
+      for (let i = 0; i < v3Schemas.length; i++) {
+        const v3 = zfn.toJSONSchema(zfn.args(v3Schemas[i]).returns(v3Schemas[i]));
+        const v4 = zfn.toJSONSchema(zfn.args(v4Schemas[i]).returns(v4Schemas[i]));
+
+        // Zod v4 also adds patterns to string formats
+        if (v4.returns.format) {
+          delete v4.parameters.prefixItems[0].pattern;
+          delete v4.returns.pattern;
+        }
+
+        expect(v3).toEqual(v4);
+      }
+
+      expect(
+        zfn.toJSONSchema(
+          zfn
+            .args(z3.string().transform(Number), z3.string().catch("a"))
+            .returns(z3.string().transform(Number)),
+        ),
+      ).toEqual({
+        parameters: {
+          $schema,
+          type: "array",
+          prefixItems: [{ type: "string" }, { type: "string" }],
+          minItems: 1,
+        },
+        returns: { $schema },
+      });
+
+      // refs of recursive schemas point into the parameters, and $defs are moved to its root
+      const Category = z4.object({
+        name: z4.string(),
+        get children() {
+          return z4.array(Category);
+        },
+      });
+      const category = {
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          children: { type: "array", items: { $ref: "#/$defs/__schema0" } },
+        },
+        required: ["name", "children"],
+      };
+
+      expect(
+        zfn.toJSONSchema(
+          zfn
+            .args(z4.number(), Category, z4.object({ a: Category, b: Category }))
+            .rest(z4.object({ c: Category, d: Category }))
+            .returns(Category),
+        ),
+      ).toEqual({
+        parameters: {
+          $schema,
+          type: "array",
+          prefixItems: [
+            { type: "number" },
+            {
+              ...category,
+              properties: {
+                name: { type: "string" },
+                children: { type: "array", items: { $ref: "#/prefixItems/1" } },
+              },
+            },
+            {
+              type: "object",
+              properties: { a: { $ref: "#/$defs/__schema0" }, b: { $ref: "#/$defs/__schema0" } },
+              required: ["a", "b"],
+            },
+          ],
+          minItems: 3,
+          items: {
+            type: "object",
+            properties: { c: { $ref: "#/$defs/__schema0_1" }, d: { $ref: "#/$defs/__schema0_1" } },
+            required: ["c", "d"],
+          },
+          $defs: {
+            __schema0: category,
+            __schema0_1: {
+              ...category,
+              properties: {
+                name: { type: "string" },
+                children: { type: "array", items: { $ref: "#/$defs/__schema0_1" } },
+              },
+            },
+          },
+        },
+        returns: {
+          ...category,
+          $schema,
+          properties: {
+            name: { type: "string" },
+            children: { type: "array", items: { $ref: "#" } },
+          },
+          additionalProperties: false,
+        },
+      });
+
+      // overrides adjust the converted schemas
+      const override = ({ zodSchema, jsonSchema }) => {
+        const isDate = zodSchema._zod
+          ? zodSchema._zod.def.type === "date"
+          : zodSchema._def.typeName === "ZodDate";
+
+        if (isDate) jsonSchema.format = "date";
+      };
+
+      for (const z of [z3, z4, z4mini]) {
+        const schema = zfn.args(z.object({ at: z.date() }));
+
+        expect(zfn.toJSONSchema(schema, { override })).toMatchObject({
+          parameters: { prefixItems: [{ properties: { at: { format: "date" } } }] },
+        });
+      }
+
+      expect(
+        zfn.toOpenAPI(zfn.returns(z3.date()), { override }).responses[200].content[
+          "application/json"
+        ].schema,
+      ).toEqual({ format: "date" });
+      expect(() => zfn.toJSONSchema(zfn.args(z4.date()), { override: 1 })).toThrow(
+        "JSON Schema override must be a function",
+      );
+
+      expect(() => zfn.toJSONSchema()).toThrow("Contract target not provided");
+      expect(() => zfn.toJSONSchema(() => {})).toThrow(
+        "Contract target must be a zodfn builder or function",
+      );
+    });
+
+    test("OpenAPI", function () {
+      const getUser = zfn
+        .params(z4.object({ id: z4.string() }))
+        .returns(z4.object({ name: z4.string() }))
+        .name("getUser")
+        .create(({ id }) => ({ name: id }));
+
+      expect(zfn.toOpenAPI(getUser, { summary: "Get a user", description: "By id" })).toEqual({
+        operationId: "getUser",
+        summary: "Get a user",
+        description: "By id",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: { type: "object", properties: { id: { type: "string" } }, required: ["id"] },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: "Successful response",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: { name: { type: "string" } },
+                  required: ["name"],
+                  additionalProperties: false,
+                },
+              },
+            },
+          },
+          400: { description: "Invalid arguments" },
+        },
+      });
+
+      // recursive schemas get an $id, so their refs don't resolve against the OpenAPI document
+      const Category = z4.object({
+        name: z4.string(),
+        get children() {
+          return z4.array(Category);
+        },
+      });
+      const { requestBody, responses } = zfn.toOpenAPI(
+        zfn.name("saveCategory").args(Category).returns(Category),
+      );
+      const parameters = requestBody.content["application/json"].schema;
+      const returns = responses[200].content["application/json"].schema;
+
+      expect(parameters.$id).toBe("urn:zodfn:saveCategory:parameters");
+      expect(parameters.prefixItems[0].properties.children.items).toEqual({
+        $ref: "#/prefixItems/0",
+      });
+      expect(returns.$id).toBe("urn:zodfn:saveCategory:returns");
+      expect(returns.properties.children.items).toEqual({ $ref: "#" });
+
+      expect(zfn.toOpenAPI(zfn.args(z3.number()), { operationId: "ping" })).toEqual({
+        operationId: "ping",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: { type: "array", prefixItems: [{ type: "number" }], minItems: 1 },
+            },
+          },
+        },
+        responses: {
+          200: { description: "Successful response" },
+          400: { description: "Invalid arguments" },
+        },
+      });
+    });
+
+    test("contract", function () {
+      const users = zfn.contract({
+        getUser: zfn.args(z4.number()).returns(z4.object({ id: z4.number(), name: z4.string() })),
+        formatUser: zfn
+          .name("format")
+          .args(z3.object({ name: z3.string() }))
+          .returns(z3.string()),
+        countUsers: zfn.returns(z4mini.number()),
+      });
+
+      const service = users.implement({
+        getUser: (id) => ({ id, name: id === 2 ? 2 : "Alice" }),
+        formatUser(user) {
+          return `User ${user.name}`;
+        },
+        countUsers() {
+          return this.getUser(1).id;
+        },
+      });
+
+      expect(Object.keys(service)).toEqual(["getUser", "formatUser", "countUsers"]);
+      expect(service.getUser(1)).toEqual({ id: 1, name: "Alice" });
+      expect(service.formatUser({ name: "Bob" })).toBe("User Bob");
+      expect(service.countUsers()).toBe(1);
+      expect(() => service.getUser("1")).toThrow("Validation failed for 1st argument");
+      expect(() => service.getUser(2)).toThrow("Validation failed for return value");
+
+      // operations are named after their key unless already named
+      try {
+        service.getUser("1");
+      } catch (error) {
+        expect(error.functionName).toBe("getUser");
+      }
+
+      try {
+        service.formatUser({});
+      } catch (error) {
+        expect(error.functionName).toBe("format");
+      }
+
+      // one mock and reset surface
+      const spy = jest.fn();
+
+      expect(service.mock({ getUser: (id) => ({ id, name: "Mocked" }) })).toBe(service);
+      service.getUser.spy(spy).record();
+
+      expect(service.getUser(3)).toEqual({ id: 3, name: "Mocked" });
+      expect(service.countUsers()).toBe(1);
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(service.getUser.calls).toHaveLength(2);
+
+      expect(service.reset()).toBe(service);
+      expect(service.getUser(3)).toEqual({ id: 3, name: "Alice" });
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(service.getUser.calls).toHaveLength(0);
+
+      expect(() => service.mock({ deleteUser: () => {} })).toThrow(
+        "Contract has no deleteUser operation",
+      );
+      expect(() => service.mock()).toThrow("Contract mocks must be an object");
+
+      // missing and extra implementations
+      expect(() => users.implement({ getUser: () => {} })).toThrow(
+        "Contract implementation is missing formatUser, countUsers",
+      );
+      expect(() =>
+        users.implement({
+          getUser: () => {},
+          formatUser: () => {},
+          countUsers: () => {},
+          deleteUser: () => {},
+        }),
+      ).toThrow("Contract implementation has unknown deleteUser");
+      expect(() => users.implement({ getUser: () => {}, deleteUser: () => {} })).toThrow(
+        "Contract implementation is missing formatUser, countUsers and has unknown deleteUser",
+      );
+      expect(() =>
+        users.implement({ getUser: () => {}, formatUser: () => {}, countUsers: 1 }),
+      ).toThrow("Implementation of countUsers must be a function");
+      expect(() => users.implement()).toThrow("Contract implementations not provided");
+      expect(() => users.implement(null)).toThrow("Contract implementations must be an object");
+
+      expect(() => zfn.contract()).toThrow("Contract operations not provided");
+      expect(() => zfn.contract(1)).toThrow("Contract operations must be an object");
+      expect(() => zfn.contract({ getUser: z4.number() })).toThrow(
+        "Contract operation getUser must be a zodfn builder",
+      );
+      expect(() => zfn.contract({ mock: zfn.args(z4.number()) })).toThrow(
+        "Contract operation name mock is reserved",
+      );
+    });
+
+    test("generators", function () {
+      const spy = jest.fn();
+      const rows = zfn
+        .name("rows")
+        .args(z4.number())
+        .yields(z4.object({ id: z4.number() }), z3.string())
+        .create(function* (count) {
+          for (let i = 0; i < count; i++) yield { id: i === 2 ? "2" : i };
+          return "done";
+        })
+        .spy(spy)
+        .record();
+
+      // values are validated lazily, as they are consumed
+      const iterator = rows(3);
+
+      expect(rows.lastCall.status).toBe("pending");
+      expect(spy).not.toHaveBeenCalled();
+      expect(iterator.next()).toEqual({ done: false, value: { id: 0 } });
+      expect(iterator.next()).toEqual({ done: false, value: { id: 1 } });
+
+      let error;
+
+      try {
+        iterator.next();
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(ZodFnError);
+      expect(error.message).toBe(
+        "Validation failed for yielded value at index 2 of rows - Path: id - Invalid input: expected number, received string",
+      );
+      expect(error.kind).toBe("yield");
+      expect(error.index).toBe(2);
+      expect(error.issues[0]).toEqual({
+        kind: "yield",
+        index: 2,
+        path: ["id"],
+        code: "invalid_type",
+        message: "Invalid input: expected number, received string",
+      });
+      expect(iterator.next()).toEqual({ done: true, value: undefined });
+      expect(rows.lastCall).toMatchObject({ status: "threw", error });
+      expect(spy).not.toHaveBeenCalled();
+
+      // completed sequences reach the spy and the call history
+      expect([...rows(2)]).toEqual([{ id: 0 }, { id: 1 }]);
+      expect(rows.lastCall).toMatchObject({ status: "returned", result: [{ id: 0 }, { id: 1 }] });
+      expect(spy).toHaveBeenLastCalledWith([2], [{ id: 0 }, { id: 1 }], 1);
+
+      const done = rows(1);
+      expect(done.next()).toEqual({ done: false, value: { id: 0 } });
+      expect(done.next()).toEqual({ done: true, value: "done" });
+      expect(done.next()).toEqual({ done: true, value: undefined });
+
+      // breaking out of a loop completes the sequence with the consumed values
+      for (const row of rows(5)) {
+        expect(row).toEqual({ id: 0 });
+        break;
+      }
+
+      expect(rows.lastCall).toMatchObject({ status: "returned", result: [{ id: 0 }] });
+      expect(spy).toHaveBeenCalledTimes(3);
+
+      // invalid final return values
+      const invalidReturn = rows.mock(function* () {
+        yield { id: 1 };
+        return 1;
+      });
+
+      expect(() => [...invalidReturn(1)]).toThrow(
+        "Validation failed for return value of rows - Expected string, received number",
+      );
+
+      // errors thrown by the source and injected with throw()
+      rows.mock(function* () {
+        yield { id: 1 };
+        throw new Error("Source failed");
+      });
+
+      expect(() => [...rows(1)]).toThrow("Source failed");
+      expect(rows.lastCall.error.message).toBe("Source failed");
+
+      const thrown = rows(1);
+      thrown.next();
+      expect(() => thrown.throw(new Error("Injected"))).toThrow("Injected");
+
+      // plain iterables
+      const numbers = zfn
+        .yields(z4mini.number())
+        .validation("warn", { onWarn: () => {} })
+        .create((values) => values);
+      const iterable = numbers([1, "2"]);
+
+      expect(iterable.return(5)).toEqual({ done: true, value: 5 });
+      expect(Array.from(numbers([1, "2"]))).toEqual([1, "2"]);
+      expect(() => iterable.throw(new Error("Not a generator"))).toThrow("Not a generator");
+
+      expect(() => zfn.yields(z4.number()).create(() => 1)()).toThrow(
+        "Validation failed for return value - Invalid input: expected iterable, received number",
+      );
+      expect(() => zfn.yields(z4.number()).create(() => null)()).toThrow(
+        "Invalid input: expected iterable, received null",
+      );
+
+      // mode off returns the iterable as is
+      const off = zfn
+        .yields(z4.number())
+        .validation("off")
+        .create((values) => values);
+      expect(off(["a"])).toEqual(["a"]);
+
+      const asyncSpy = zfn
+        .yields(z4.number())
+        .create(function* () {
+          yield 1;
+        })
+        .spy(async () => {});
+
+      expect(() => [...asyncSpy()]).toThrow(
+        "Spy handler function cannot return a promise in a synchronous context",
+      );
+
+      expect(() => zfn.yields()).toThrow("Yield schema not provided");
+      expect(() => zfn.yields(1)).toThrow("Yield schema must be a valid Zod schema");
+      expect(() => zfn.yields(z4.number(), 1)).toThrow(
+        "Yield return schema must be a valid Zod schema",
+      );
+      expect(() => zfn.returns(z4.number()).yields(z4.number())).toThrow(
+        "Yield schema cannot be used with returns",
+      );
+      expect(() => zfn.yields(z4.number()).returns(z4.number())).toThrow(
+        "Return schema cannot be used with yields",
+      );
+      expect(() => rows.memoize()).toThrow("Memoize cannot be used with yields");
+    });
+
+    test("streams", async function () {
+      const { Readable, Transform, PassThrough } = require("node:stream");
+      const row = z4.object({ id: z4.number() });
+      const rows = () => [{ id: 1 }, { id: "2" }, { id: 3 }];
+      const readAll = async (stream) => {
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        return chunks;
+      };
+
+      // errors by default, with the chunk index and path
+      const invalid = zfn.validateStream(ReadableStream.from(rows()), row, { name: "rows" });
+      const error = await readAll(invalid).catch((error) => error);
+
+      expect(error).toBeInstanceOf(ZodFnError);
+      expect(error.message).toBe(
+        "Validation failed for chunk at index 1 of rows - Path: id - Invalid input: expected number, received string",
+      );
+      expect(error.kind).toBe("chunk");
+      expect(error.index).toBe(1);
+      expect(error.functionName).toBe("rows");
+      expect(error.issues[0]).toMatchObject({ kind: "chunk", index: 1, path: ["id"] });
+
+      // drop and side channel policies
+      const dropped = zfn.validateStream(ReadableStream.from(rows()), row, { onInvalid: "drop" });
+      expect(await readAll(dropped)).toEqual([{ id: 1 }, { id: 3 }]);
+
+      const rejected = [];
+      const routed = zfn.validateStream(
+        ReadableStream.from(rows()),
+        z3.object({ id: z3.number() }),
+        {
+          onInvalid: async (error, chunk) => rejected.push([error.index, chunk]),
+        },
+      );
+
+      expect(await readAll(routed)).toEqual([{ id: 1 }, { id: 3 }]);
+      expect(rejected).toEqual([[1, { id: "2" }]]);
+
+      // chunks are parsed
+      const parsed = ReadableStream.from(["1", "2"]).pipeThrough(
+        zfn.toTransformStream(z4.coerce.number()),
+      );
+      expect(await readAll(parsed)).toEqual([1, 2]);
+
+      // transform streams keep their writable side
+      const ndjson = zfn.validateStream(
+        new TransformStream({
+          transform: (line, controller) => controller.enqueue(JSON.parse(line)),
+        }),
+        row,
+      );
+      const writer = ndjson.writable.getWriter();
+
+      writer.write('{"id":1}');
+      writer.write('{"id":2}');
+      writer.close();
+      expect(await readAll(ndjson.readable)).toEqual([{ id: 1 }, { id: 2 }]);
+
+      // node streams
+      const nodeDropped = Readable.from(rows()).pipe(
+        zfn.toNodeTransform(z4mini.object({ id: z4mini.number() }), { onInvalid: "drop" }),
+      );
+      expect(await readAll(nodeDropped)).toEqual([{ id: 1 }, { id: 3 }]);
+
+      await expect(readAll(zfn.validateStream(Readable.from(rows()), row))).rejects.toThrow(
+        "Validation failed for chunk at index 1 - Path: id",
+      );
+
+      const duplex = zfn.validateStream(new PassThrough({ objectMode: true }), row);
+
+      duplex.write({ id: 1 });
+      duplex.end();
+      expect(duplex).toBeInstanceOf(require("node:stream").Duplex);
+      expect(await readAll(duplex)).toEqual([{ id: 1 }]);
+      expect(zfn.toNodeTransform(row)).toBeInstanceOf(Transform);
+
+      expect(() => zfn.validateStream()).toThrow("Stream not provided");
+      expect(() => zfn.validateStream({}, row)).toThrow(
+        "Stream must be a ReadableStream, a TransformStream or a Node stream",
+      );
+      expect(() => zfn.toTransformStream()).toThrow("Chunk schema not provided");
+      expect(() => zfn.toNodeTransform(1)).toThrow("Chunk schema must be a valid Zod schema");
+      expect(() => zfn.toTransformStream(row, { name: 1 })).toThrow("Stream name must be a string");
+      expect(() => zfn.toTransformStream(row, { onInvalid: "warn" })).toThrow(
+        "Invalid chunk policy must be a function or one of: error, drop",
+      );
+    });
+
+    test("safe", async function () {
+      let fn = zfn
+        .args(z4.number())
+        .returns(z4.number())
+        .create((a) => {
+          if (a < 0) throw new Error("Negative number");
+          return a * 2;
+        });
+
+      expect(fn.safe(2)).toEqual({ success: true, data: 4 });
+
+      let result = fn.safe("2");
+      expect(result.success).toBe(false);
+      expect(result.error instanceof ZodFnError).toBe(true);
+      expect(result.error.message).toBe(
+        "Validation failed for 1st argument - Invalid input: expected number, received string",
+      );
+
+      result = fn.safe(-1);
+      expect(result.success).toBe(false);
+      expect(result.error.message).toBe("Negative number");
+
+      fn.onError(() => 0);
+      expect(fn.safe(-1)).toEqual({ success: true, data: 0 });
+
+      fn.mock(() => "4");
+      result = fn.safe(2);
+      expect(result.success).toBe(false);
+      expect(result.error.kind).toBe("return");
+
+      fn = zfn.returns(z4.string()).create(async (a) => a);
+
+      expect(await fn.safe("a")).toEqual({ success: true, data: "a" });
+
+      result = await fn.safe(1);
+      expect(result.success).toBe(false);
+      expect(result.error.kind).toBe("return");
+
+      // the receiver is forwarded
+      const counter = {
+        count: 5,
+        get: zfn.returns(z4.number()).create(function () {
+          return this.count;
+        }),
+      };
+
+      counter.safeGet = counter.get.safe;
+      expect(counter.get()).toBe(5);
+      expect(counter.safeGet()).toEqual({ success: true, data: 5 });
+      expect(counter.get.safe.call(counter)).toEqual({ success: true, data: 5 });
+    });
+
+    test("immutable builder", function () {
+      const base = zfn.args(z4.number());
+      const toString = base.returns(z4.string());
+      const toNumber = base.returns(z4.number());
+      const strict = base.strict();
+
+      expect(toString.create((a) => `${a}`)(1)).toBe("1");
+      expect(toNumber.create((a) => a * 2)(1)).toBe(2);
+      expect(() => toString.create((a) => a)(1)).toThrow(
+        "Validation failed for return value - Invalid input: expected string, received number",
+      );
+
+      expect(base.create((...args) => args)(1, 2)).toEqual([1, 2]);
+      expect(() => strict.create((...args) => args)(1, 2)).toThrow(
+        "Expected at most 1 argument, received 2",
+      );
+
+      const fn = base.create((a) => a);
+      base.args(z4.string());
+      expect(fn(1)).toBe(1);
+
+      expect(zfn._schemas).toBe(undefined);
+      expect(base.rest(z4.number())._schemas.rest).toBeDefined();
+      expect(base._schemas.rest).toBe(undefined);
+      expect(zfn.build((z) => ({ args: [z.string()] }))._schemas.args.length).toBe(1);
+    });
+
+    test("structured errors", async function () {
+      let fn = zfn
+        .args(z4.number(), z4.object({ a: z4.string(), b: z4.number() }))
+        .create((a, b) => a);
+
+      let error;
+
+      try {
+        fn(1, { a: 1, b: "2" });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error instanceof ZodFnError).toBe(true);
+      expect(error.kind).toBe("argument");
+      expect(error.position).toBe(2);
+      expect(error.zodError.issues.length).toBe(2);
+      expect(error.message).toBe(
+        "Validation failed for 2nd argument - Path: a - Invalid input: expected string, received number (and 1 more issue)",
+      );
+      expect(error.issues).toEqual([
+        {
+          kind: "argument",
+          position: 2,
+          path: ["a"],
+          code: "invalid_type",
+          message: "Invalid input: expected string, received number",
+        },
+        {
+          kind: "argument",
+          position: 2,
+          path: ["b"],
+          code: "invalid_type",
+          message: "Invalid input: expected number, received string",
+        },
+      ]);
+
+      fn = zfn.returns(z3.object({ a: z3.array(z3.string()) })).create(async (a) => a);
 
-      expect(() => fn(5, 13)).toThrow(
-        "Validation failed for return value - Invalid input: expected number, received string",
+      try {
+        await fn({ a: ["1", 2, 3] });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.kind).toBe("return");
+      expect(error.position).toBe(undefined);
+      expect(error.message).toBe(
+        "Validation failed for return value - Path: a.1 - Expected string, received number (and 1 more issue)",
       );
+      expect(error.issues.map((issue) => issue.path)).toEqual([
+        ["a", 1],
+        ["a", 2],
+      ]);
+      expect(error.issues[0].code).toBe("invalid_type");
 
       try {
-        fn.mock(async (a, b) => a ** b);
-        await fn(1, "_");
-      } catch (error) {
-        expect(error.message).toBe(
-          "Validation failed for return value - Invalid input: expected number, received NaN",
-        );
+        zfn.create(() => {}).mock();
+      } catch (err) {
+        error = err;
       }
 
-      fn.resetMock();
+      expect(error.kind).toBe(undefined);
+      expect(error.issues).toEqual([]);
+      expect(error.zodError).toBe(undefined);
+
+      const toId = zfn
+        .name("toId")
+        .args(z4.string())
+        .create((val) => Number(val));
+
+      fn = zfn.args(z4.any().transform((val) => toId(val))).create((a) => a);
+
+      try {
+        fn(1);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.functionName).toBe("toId");
+      expect(error.issues[0].code).toBe("invalid_type");
     });
 
     test("errors", async function () {
@@ -636,6 +2659,24 @@ describe("zodfn", function () {
       expect(await fn(5, 13)).toBe(18);
     });
 
+    test("queued mocks", async function () {
+      const fn = zfn
+        .args(z4.number())
+        .returns(z4.number())
+        .createAsync(async (a) => a);
+
+      fn.mockResolvedOnce(1).mockRejectedOnce(new Error("retry")).mockReturnOnce(3);
+
+      expect(await fn(0)).toBe(1);
+      await expect(fn(0)).rejects.toThrow("retry");
+      expect(await fn(0)).toBe(3);
+      expect(await fn(0)).toBe(0);
+
+      fn.mockReturnValue(5).mockResolvedOnce("6");
+      await expect(fn(0)).rejects.toThrow("Validation failed for return value");
+      expect(await fn(0)).toBe(5);
+    });
+
     test("spying", async () => {
       let num = 0;
       let fn = zfn.createAsync((a, b) => a + b);
@@ -907,6 +2948,877 @@ describe("zodfn", function () {
       fn.resetMock();
     });
 
+    test("arity", async function () {
+      const fn = zfn
+        .args(z4.number(), z4.number().optional())
+        .strict()
+        .createAsync((...args) => args);
+
+      await expect(fn()).rejects.toThrow(
+        "Validation failed for 1st argument - Invalid input: expected number, received undefined",
+      );
+      expect(await fn(1)).toEqual([1, undefined]);
+      await expect(fn(1, 2, 3)).rejects.toThrow(
+        "Validation failed for 3rd argument - Expected at most 2 arguments, received 3",
+      );
+    });
+
+    test("rest arguments", async function () {
+      const fn = zfn
+        .rest(
+          z4.number().transform(async (val) => {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            return val * 2;
+          }),
+        )
+        .createAsync((...nums) => nums);
+
+      expect(await fn(1, 2, 3)).toEqual([2, 4, 6]);
+      await expect(fn(1, "2")).rejects.toThrow(
+        "Validation failed for 2nd argument - Invalid input: expected number, received string",
+      );
+    });
+
+    test("method decorator", async function () {
+      const decorator = zfn
+        .args(
+          z4.number().transform(async (val) => {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            return val + 1;
+          }),
+        )
+        .methodAsync();
+
+      class Store {
+        value = 10;
+
+        add(num) {
+          return this.value + num;
+        }
+      }
+
+      Store.prototype.add = decorator(Store.prototype.add, { kind: "method", name: "add" });
+
+      expect(await new Store().add(1)).toBe(12);
+
+      zfn.getMethodAsync(Store.prototype, "add").mockResolvedOnce(0);
+      expect(await new Store().add(1)).toBe(0);
+      expect(() => zfn.getMethod(Store.prototype, "add")).toThrow(
+        "Method add is not decorated with method()",
+      );
+
+      expect(() => decorator(() => {}, { kind: "getter", name: "a" })).toThrow(
+        "Method decorator can only be applied to class methods",
+      );
+    });
+
+    test("recording", async function () {
+      const fn = zfn
+        .args(z4.number())
+        .createAsync(async (a) => {
+          if (a < 0) throw new Error("Negative number");
+          return a * 2;
+        })
+        .record();
+
+      expect(await fn(2)).toBe(4);
+      expect(fn.lastCall).toMatchObject({ args: [2], rawArgs: [2], status: "returned", result: 4 });
+
+      await expect(fn("2")).rejects.toThrow("Validation failed for 1st argument");
+      expect(fn.lastCall).toMatchObject({ args: undefined, rawArgs: ["2"], status: "threw" });
+
+      await expect(fn(-1)).rejects.toThrow("Negative number");
+      expect(fn.lastCall).toMatchObject({ args: [-1], status: "threw" });
+      expect(fn.calls.length).toBe(3);
+    });
+
+    test("names", async function () {
+      const fn = zfn
+        .name("fetchUser", ["id"])
+        .args(z4.string())
+        .returns(z4.object({ name: z4.string() }))
+        .createAsync(async (id) => ({ name: id }));
+
+      expect(fn.name).toBe("fetchUser");
+      await expect(fn(1)).rejects.toThrow(
+        "Validation failed for 1st argument (id) of fetchUser - Invalid input",
+      );
+
+      fn.mock(() => ({}));
+      await expect(fn("1")).rejects.toThrow(
+        "Validation failed for return value of fetchUser - Path: name - Invalid input",
+      );
+    });
+
+    test("named parameters", async function () {
+      const fn = zfn
+        .params(z4mini.object({ id: z4mini.string(), limit: z4mini.number() }))
+        .createAsync(async ({ id, limit }) => `${id}:${limit}`);
+
+      expect(await fn({ id: "a", limit: 1 })).toBe("a:1");
+      await expect(fn({ id: "a", limit: "1" })).rejects.toThrow(
+        "Validation failed for limit parameter - Invalid input: expected number, received string",
+      );
+    });
+
+    test("validation modes", async function () {
+      const warnings = [];
+
+      let fn = zfn
+        .args(
+          z4.number().transform(async (val) => {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            return val * 2;
+          }),
+        )
+        .returns(z4.number())
+        .validation("warn", { onWarn: (error) => warnings.push(error.kind) })
+        .createAsync((a) => a);
+
+      expect(await fn(2)).toBe(4);
+      expect(await fn("2")).toBe("2");
+      expect(warnings).toEqual(["argument", "return"]);
+
+      fn = zfn
+        .args(z4.number())
+        .returns(z4.number())
+        .validation("off")
+        .createAsync((a) => a);
+
+      expect(await fn("2")).toBe("2");
+    });
+
+    test("timeout", async function () {
+      const spy = jest.fn();
+      let signals = [];
+
+      const fn = zfn
+        .args(z4.number())
+        .returns(z4.number())
+        .name("fetchNum")
+        .timeout(20)
+        .createAsync((num, signal) => {
+          signals.push(signal);
+          return new Promise((resolve) => setTimeout(() => resolve(num), num));
+        })
+        .spy(spy);
+
+      expect(await fn(1)).toBe(1);
+      expect(signals[0]).toBeInstanceOf(AbortSignal);
+      expect(signals[0].aborted).toBe(false);
+
+      const error = await fn(50).catch((error) => error);
+
+      expect(error).toBeInstanceOf(ZodFnTimeoutError);
+      expect(error).toBeInstanceOf(ZodFnError);
+      expect(error.message).toBe("Call of fetchNum timed out after 20ms");
+      expect(error.timeout).toBe(20);
+      expect(error.functionName).toBe("fetchNum");
+      expect(signals[1].aborted).toBe(true);
+      expect(signals[1].reason).toBe(error);
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      // onError values of aborted calls skip return validation and spy
+      fn.onError((error, args) => (error instanceof ZodFnTimeoutError ? `fallback ${args[0]}` : 0));
+
+      expect(await fn(50)).toBe("fallback 50");
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(await fn(2)).toBe(2);
+      expect(spy).toHaveBeenCalledTimes(2);
+
+      await expect(fn("a")).rejects.toThrow("Validation failed for 1st argument of fetchNum");
+
+      fn.mock((num) => num * 2);
+      expect(await fn(60)).toBe(120);
+    });
+
+    test("abort signal", async function () {
+      const spy = jest.fn();
+      let signal;
+
+      const fn = zfn
+        .args(z4.number())
+        .returns(z4.number())
+        .createAsync(async (num, _signal) => {
+          signal = _signal;
+          await new Promise((resolve) => setTimeout(resolve, 20));
+          return num;
+        })
+        .spy(spy)
+        .record();
+
+      let controller = new AbortController();
+      let promise = fn.withSignal(controller.signal)(1);
+
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      controller.abort();
+      await expect(promise).rejects.toThrow("This operation was aborted");
+      expect(signal.aborted).toBe(true);
+      expect(spy).not.toHaveBeenCalled();
+      expect(fn.lastCall.status).toBe("threw");
+      expect(fn.lastCall.args).toEqual([1]);
+
+      controller = new AbortController();
+      expect(await fn.withSignal(controller.signal)(2)).toBe(2);
+      expect(spy).toHaveBeenCalledWith([2], 2, 1);
+
+      // already aborted signals reject before calling the implementation
+      signal = undefined;
+      await expect(fn.withSignal(AbortSignal.abort("stop"))(3)).rejects.toBe("stop");
+      expect(signal).toBeUndefined();
+
+      // the sooner of the signal and the timeout aborts the call
+      const timed = zfn.timeout(10).createAsync(fn);
+      controller = new AbortController();
+      await expect(timed.withSignal(controller.signal)(4)).rejects.toThrow(
+        "Call timed out after 10ms",
+      );
+
+      controller = new AbortController();
+      promise = timed.withSignal(controller.signal)(5);
+      controller.abort("cancelled");
+      await expect(promise).rejects.toBe("cancelled");
+
+      fn.onError(() => -1);
+      controller = new AbortController();
+      promise = fn.withSignal(controller.signal)(6);
+      controller.abort();
+      expect(await promise).toBe(-1);
+
+      expect(() => fn.withSignal()).toThrow("Abort signal not provided");
+      expect(() => fn.withSignal({})).toThrow("Abort signal must be an AbortSignal");
+      expect(zfn.create(() => {}).withSignal).toBeUndefined();
+      expect(() => zfn.timeout()).toThrow("Timeout not provided");
+      expect(() => zfn.timeout(0)).toThrow("Timeout must be a positive number of milliseconds");
+      expect(() => zfn.timeout(Infinity)).toThrow(
+        "Timeout must be a positive number of milliseconds",
+      );
+
+      // synchronous functions cannot honor a timeout
+      expect(() => zfn.timeout(10).create(() => {})).toThrow(
+        "Timeout can only be used with createAsync",
+      );
+      expect(() => zfn.timeout(10).method()(() => {}, { kind: "method", name: "a" })).toThrow(
+        "Timeout can only be used with createAsync",
+      );
+      expect(zfn.timeout(10).methodAsync()(async () => {}, { kind: "method", name: "a" })).toEqual(
+        expect.any(Function),
+      );
+
+      // the signal is appended to the arguments, so it cannot follow rest arguments
+      const withRest = zfn.args(z4.string()).rest(z4.number());
+      const sum = withRest.createAsync(async (s, ...nums) => nums);
+
+      expect(() => withRest.timeout(1000).createAsync(async (s, ...nums) => nums)).toThrow(
+        "Timeout cannot be used with rest arguments",
+      );
+      expect(() => sum.withSignal(new AbortController().signal)).toThrow(
+        "Abort signal cannot be used with rest arguments",
+      );
+      expect(await sum("a", 1, 2)).toEqual([1, 2]);
+    });
+
+    test("retry", async function () {
+      const spy = jest.fn();
+      const onError = jest.fn(() => ({ id: 0 }));
+      let attempts = 0;
+
+      const fn = zfn
+        .args(z4.number())
+        .returns(z4.object({ id: z4.number() }))
+        .createAsync(async (id) => {
+          attempts++;
+          if (attempts === 1) throw new Error("Network error");
+          if (attempts === 2) return { id: String(id) };
+          return { id };
+        })
+        .retry()
+        .spy(spy)
+        .onError(onError)
+        .record();
+
+      expect(await fn(1)).toEqual({ id: 1 });
+      expect(attempts).toBe(3);
+      expect(onError).not.toHaveBeenCalled();
+
+      // every attempt is recorded, the spy only sees the value of the call
+      expect(fn.calls.map((call) => [call.attempt, call.status])).toEqual([
+        [1, "threw"],
+        [2, "threw"],
+        [3, "returned"],
+      ]);
+      expect(fn.calls[0].error.message).toBe("Network error");
+      expect(fn.calls[1].error.kind).toBe("return");
+      expect(fn.calls[1].args).toEqual([1]);
+      expect(fn.calls[1].error.issues[0].path).toEqual(["id"]);
+      expect(spy.mock.calls).toEqual([[[1], { id: 1 }, 1]]);
+
+      // onError is only called after the last attempt
+      fn.retry({ attempts: 2 })
+        .mockRejectedOnce(new Error("Network error"))
+        .mockRejectedOnce(new Error("Still down"))
+        .clearCalls();
+
+      expect(await fn(2)).toEqual({ id: 0 });
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(onError.mock.calls[0][0].message).toBe("Still down");
+      expect(fn.calls.map((call) => [call.attempt, call.status, call.mocked])).toEqual([
+        [1, "threw", true],
+        [2, "returned", true],
+      ]);
+
+      // return validation errors of the last attempt are thrown
+      fn.mockResolvedValue({ id: "a" });
+      await expect(fn(3)).rejects.toThrow("Validation failed for return value");
+      expect(onError).toHaveBeenCalledTimes(1);
+
+      // retryIf and backoff
+      const retryIf = jest.fn((error) => error.message !== "Fatal");
+      const backoff = jest.fn((attempt) => attempt * 10);
+
+      fn.resetMock()
+        .mockRejectedOnce(new Error("Busy"))
+        .mockRejectedOnce(new Error("Fatal"))
+        .retry({ attempts: 5, backoff, retryIf });
+
+      const start = Date.now();
+      expect(await fn(4)).toEqual({ id: 0 });
+      expect(Date.now() - start).toBeGreaterThanOrEqual(9);
+      expect(retryIf.mock.calls.map(([error, attempt]) => [error.message, attempt])).toEqual([
+        ["Busy", 1],
+        ["Fatal", 2],
+      ]);
+      expect(backoff).toHaveBeenCalledTimes(1);
+      expect(backoff.mock.calls[0][0]).toBe(1);
+
+      // timeouts apply to every attempt
+      let slow = true;
+      const timed = zfn
+        .timeout(10)
+        .createAsync(async () => {
+          if (slow) {
+            slow = false;
+            await new Promise((resolve) => setTimeout(resolve, 50));
+          }
+          return "done";
+        })
+        .retry({ attempts: 2 });
+
+      expect(await timed()).toBe("done");
+
+      // aborted signals are not retried
+      const controller = new AbortController();
+      controller.abort();
+      await expect(timed.withSignal(controller.signal)()).rejects.toThrow(
+        "This operation was aborted",
+      );
+
+      expect(() => fn.retry({ attempts: 0 })).toThrow("Retry attempts must be a positive integer");
+      expect(() => fn.retry({ backoff: -1 })).toThrow(
+        "Retry backoff must be a non-negative number or a function",
+      );
+      expect(() => fn.retry({ retryIf: true })).toThrow("Retry condition must be a function");
+    });
+
+    test("memoize", async function () {
+      let calls = 0;
+
+      const fn = zfn
+        .args(z4.string().transform((id) => id.trim()))
+        .returns(z4.object({ id: z4.string() }))
+        .createAsync(async (id) => {
+          calls++;
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          if (id === "fail") throw new Error("Not found");
+          return { id };
+        })
+        .memoize()
+        .spy(jest.fn());
+
+      // calls in flight are deduplicated
+      const [a, b] = await Promise.all([fn("a"), fn(" a ")]);
+
+      expect(a).toEqual({ id: "a" });
+      expect(b).toBe(a);
+      expect(calls).toBe(1);
+      expect(await fn("a")).toBe(a);
+      expect(calls).toBe(1);
+
+      // failed calls are not cached
+      await Promise.all([
+        expect(fn("fail")).rejects.toThrow("Not found"),
+        expect(fn("fail")).rejects.toThrow("Not found"),
+      ]);
+      expect(calls).toBe(2);
+      await expect(fn("fail")).rejects.toThrow("Not found");
+      expect(calls).toBe(3);
+      expect(fn.cache.size).toBe(1);
+
+      fn.onError(() => ({ id: "fallback" }));
+      expect(await fn("fail")).toEqual({ id: "fallback" });
+      expect(fn.cache.size).toBe(1);
+
+      fn.mockResolvedValue({ id: "mocked" });
+      expect(fn.cache.size).toBe(0);
+      expect(await fn("a")).toEqual({ id: "mocked" });
+
+      // async create implementations are cached too
+      let created = 0;
+      const fn2 = zfn
+        .args(z4.number())
+        .create(async (num) => {
+          created++;
+          return num * 2;
+        })
+        .memoize();
+
+      expect(await Promise.all([fn2(1), fn2(1)])).toEqual([2, 2]);
+      expect(await fn2(1)).toBe(2);
+      expect(created).toBe(1);
+    });
+
+    test("middleware", async function () {
+      const log = [];
+
+      const fn = zfn
+        .args(z4.string())
+        .returns(z4.string())
+        .timeout(100)
+        .use(async (ctx, next) => {
+          log.push(`attempt ${ctx.attempt}, signal: ${ctx.signal instanceof AbortSignal}`);
+          await next();
+          log.push(`result: ${ctx.result}`);
+        })
+        .use(async (ctx, next) => {
+          ctx.args = [ctx.args[0].toUpperCase()];
+          await next();
+        })
+        .createAsync(async (str, signal) => {
+          log.push(`impl: ${str}, ${signal.aborted}`);
+          if (str === "FAIL") throw new Error("Failed");
+          return str;
+        })
+        .retry({ attempts: 2 })
+        .record();
+
+      expect(await fn("a")).toBe("A");
+      expect(log).toEqual(["attempt 1, signal: true", "impl: A, false", "result: A"]);
+      expect(fn.lastCall.args).toEqual(["a"]);
+
+      // the middleware runs for every attempt
+      log.length = 0;
+      await expect(fn("fail")).rejects.toThrow("Failed");
+      expect(log).toEqual([
+        "attempt 1, signal: true",
+        "impl: FAIL, false",
+        "attempt 2, signal: true",
+        "impl: FAIL, false",
+      ]);
+
+      // short-circuit with a cached value
+      const cache = new Map([["a", "cached"]]);
+      const impl = jest.fn(async (key) => key);
+      const cached = zfn
+        .args(z4.string())
+        .returns(z4.string())
+        .use(async (ctx, next) => {
+          if (cache.has(ctx.args[0])) {
+            ctx.result = cache.get(ctx.args[0]);
+          } else {
+            await next();
+          }
+        })
+        .createAsync(impl);
+
+      expect(await cached("a")).toBe("cached");
+      expect(await cached("b")).toBe("b");
+      expect(impl).toHaveBeenCalledTimes(1);
+
+      await expect(
+        zfn
+          .returns(z4.string())
+          .use(async (ctx) => {
+            ctx.result = 1;
+          })
+          .createAsync(impl)(),
+      ).rejects.toThrow("Validation failed for return value");
+    });
+
+    test("hooks", async function () {
+      const fn = zfn
+        .args(z4.string().refine(async (id) => id !== "missing", "Unknown id"))
+        .returns(z4.object({ id: z4.string() }))
+        .createAsync(async (id) => (id === "bad" ? { id: 1 } : { id }))
+        .beforeValidate(async (args) => args.map((arg) => arg.trim()))
+        .afterArgs(async (args) => [args[0].toLowerCase()])
+        .beforeReturn(async (ret) => (ret.id === "old" ? { id: "new" } : undefined))
+        .onValidationError(async (error, args) => ({
+          status: error.kind === "argument" ? 400 : 500,
+          args,
+        }))
+        .onError(() => ({ id: 1 }))
+        .record();
+
+      expect(await fn(" A ")).toEqual({ id: "a" });
+      expect(fn.lastCall.args).toEqual(["a"]);
+      expect(await fn("OLD")).toEqual({ id: "new" });
+      expect(await fn(" missing ")).toEqual({ status: 400, args: [" missing "] });
+      expect(await fn("bad")).toEqual({ status: 500, args: ["bad"] });
+
+      // onError values and retried attempts
+      fn.mockRejectedOnce(new Error("Failed"));
+      expect(await fn("a")).toEqual({ status: 500, args: ["a"] });
+
+      fn.resetMock().mockResolvedOnce({ id: 2 }).retry({ attempts: 2 });
+      expect(await fn("a")).toEqual({ id: "a" });
+
+      const noHook = zfn.args(z4.number()).createAsync(async (num) => num);
+      await expect(noHook("1")).rejects.toThrow("Validation failed for 1st argument");
+    });
+
+    test("contract", async function () {
+      const service = zfn
+        .contract({
+          getUser: zfn
+            .args(z4.number().refine(async (id) => id > 0, "Unknown id"))
+            .returns(z4.object({ id: z4.number() })),
+          listUsers: zfn.returns(z4.array(z4.number())),
+        })
+        .implementAsync({
+          getUser: async (id) => ({ id }),
+          async listUsers() {
+            return [(await this.getUser(1)).id];
+          },
+        });
+
+      expect(await service.getUser(1)).toEqual({ id: 1 });
+      expect(await service.listUsers()).toEqual([1]);
+      await expect(service.getUser(0)).rejects.toThrow("Validation failed for 1st argument");
+
+      service.mock({ listUsers: async () => [2, 3] });
+      service.getUser.mockResolvedValue({ id: 4 });
+
+      expect(await service.listUsers()).toEqual([2, 3]);
+      expect(await service.getUser(1)).toEqual({ id: 4 });
+
+      service.reset();
+
+      expect(await service.listUsers()).toEqual([1]);
+    });
+
+    test("async iterables", async function () {
+      const spy = jest.fn();
+      const pages = zfn
+        .args(z4.number())
+        .yields(z4.number().refine(async (num) => num < 3, "Too big"))
+        .createAsync(async function* (count) {
+          for (let i = 0; i < count; i++) yield i;
+        })
+        .spy(spy)
+        .record();
+
+      const values = [];
+
+      for await (const value of await pages(3)) {
+        values.push(value);
+      }
+
+      expect(values).toEqual([0, 1, 2]);
+      expect(pages.lastCall).toMatchObject({ status: "returned", result: [0, 1, 2] });
+      expect(spy).toHaveBeenLastCalledWith([3], [0, 1, 2], 1);
+
+      const iterator = await pages(5);
+      const consume = async () => {
+        for await (const value of iterator) values.push(value);
+      };
+
+      await expect(consume()).rejects.toThrow(
+        "Validation failed for yielded value at index 3 - Too big",
+      );
+      expect(pages.lastCall.status).toBe("threw");
+      expect(await iterator.next()).toEqual({ done: true, value: undefined });
+
+      // early return and sync iterables
+      const early = await pages(5);
+
+      expect(await early.next()).toEqual({ done: false, value: 0 });
+      expect(await early.return()).toEqual({ done: true, value: undefined });
+      expect(pages.lastCall).toMatchObject({ status: "returned", result: [0] });
+
+      pages.mock(() => [1, 2]);
+      const fromArray = await pages(2);
+
+      expect(await fromArray.next()).toEqual({ done: false, value: 1 });
+      expect(await fromArray.return(3)).toEqual({ done: true, value: 3 });
+
+      // sync functions returning async iterables
+      const sync = zfn.yields(z4.string(), z4.number()).create(async function* () {
+        yield "a";
+        return 1;
+      });
+      const syncValues = [];
+
+      for await (const value of sync()) syncValues.push(value);
+      expect(syncValues).toEqual(["a"]);
+    });
+
+    test("http handlers", async function () {
+      const users = { 1: { id: 1, name: "Ada" } };
+      const getUser = zfn
+        .name("getUser", ["id", "fields"])
+        .args(z4.coerce.number().int(), z4.array(z4.string()).optional())
+        .returns(z4.object({ id: z4.number(), name: z4.string() }))
+        .createAsync(async (id) => users[id] ?? { id });
+      const createUser = zfn
+        .name("createUser")
+        .params(z3.object({ name: z3.string().min(1), team: z3.string() }))
+        .returns(z3.object({ id: z3.number() }))
+        .createAsync(async ({ name, team }) => ({ id: name.length + team.length }));
+      const deleteUser = zfn
+        .name("deleteUser")
+        .args(z4mini.string())
+        .createAsync(async () => {
+          throw new Error("Not found");
+        })
+        .onError(() => ({ deleted: false }));
+      const noop = zfn.args(z4.unknown()).createAsync(async () => {});
+      const inner = zfn.args(z4.number()).createAsync(async (num) => num);
+      const unnamed = zfn
+        .params(z4.object({ id: z4.string() }))
+        .createAsync(async ({ id }) => inner(id));
+      const nested = zfn.name("nested").createAsync(async () => getUser("abc"));
+      const findTeam = zfn
+        .name("findTeam", ["name"])
+        .args(z4.string().min(2))
+        .returns(z4.string())
+        .createAsync(async (name) => name)
+        .onValidationError((error) => {
+          throw new Error(`Invalid team: ${error.issues[0].message}`);
+        });
+
+      const handlers = {
+        "/users": zfn.toHandler(createUser),
+        "/delete": zfn.toHandler(deleteUser, { args: (req, body) => [body.id] }),
+        "/noop": zfn.toHandler(noop, { args: () => [] }),
+        "/nested": zfn.toHandler(nested),
+        "/unnamed": zfn.toHandler(unnamed),
+        "/limited": zfn.toHandler(createUser, { maxBodySize: 32 }),
+        "/teams": zfn.toHandler(findTeam),
+      };
+
+      // a minimal router setting the path parameters, like Express does
+      const server = http.createServer((req, res) => {
+        const [path, id] = req.url
+          .split("?")[0]
+          .match(/^(\/\w+)(?:\/(\w+))?/)
+          .slice(1);
+
+        if (path === "/users" && id !== undefined) {
+          req.params = { id };
+          return zfn.toHandler(getUser)(req, res);
+        }
+
+        if (path === "/parsed") {
+          req.params = { team: "core" };
+          req.body = { name: "Bob" };
+          return handlers["/users"](req, res);
+        }
+
+        handlers[path](req, res);
+      });
+
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      const url = `http://127.0.0.1:${server.address().port}`;
+      const request = async (path, init) => {
+        const res = await fetch(url + path, init);
+        const text = await res.text();
+        return { status: res.status, body: text ? JSON.parse(text) : undefined };
+      };
+      const post = (path, body) =>
+        request(path, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: typeof body === "string" ? body : JSON.stringify(body),
+        });
+
+      try {
+        expect(await request("/users/1")).toEqual({ status: 200, body: { id: 1, name: "Ada" } });
+        expect(await request("/users/1?fields=a&fields=b")).toEqual({
+          status: 200,
+          body: { id: 1, name: "Ada" },
+        });
+        expect(await request("/users/abc")).toEqual({
+          status: 400,
+          body: {
+            error:
+              "Validation failed for 1st argument (id) of getUser - Invalid input: expected number, received NaN",
+            issues: [
+              {
+                kind: "argument",
+                position: 1,
+                paramName: "id",
+                path: [],
+                code: "invalid_type",
+                message: "Invalid input: expected number, received NaN",
+              },
+            ],
+          },
+        });
+        expect(await request("/users/1?fields=a")).toMatchObject({
+          status: 400,
+          body: { issues: [expect.objectContaining({ position: 2, paramName: "fields" })] },
+        });
+
+        // return failures are server errors
+        expect(await request("/users/2")).toEqual({
+          status: 500,
+          body: { error: "Internal Server Error" },
+        });
+
+        // named parameters merge the query, the body and the path parameters
+        expect(await post("/users?team=core", { name: "Ada" })).toEqual({
+          status: 200,
+          body: { id: 7 },
+        });
+        expect(await post("/parsed", "ignored")).toEqual({ status: 200, body: { id: 7 } });
+        expect(await post("/users", { name: "", team: "core" })).toMatchObject({
+          status: 400,
+          body: {
+            error:
+              "Validation failed for name parameter of createUser - String must contain at least 1 character(s)",
+            issues: [expect.objectContaining({ paramName: "name", code: "too_small" })],
+          },
+        });
+        expect(await request("/users", { method: "POST" })).toMatchObject({ status: 400 });
+        expect(await post("/users", "{")).toEqual({
+          status: 400,
+          body: { error: "Invalid JSON body" },
+        });
+
+        // large bodies are rejected, by their length or once the limit is read
+        expect(await post("/limited", { name: "Ada", team: "core" })).toEqual({
+          status: 200,
+          body: { id: 7 },
+        });
+        expect(await post("/limited", { name: "Ada".repeat(10), team: "core" })).toEqual({
+          status: 413,
+          body: { error: "Request body exceeds 32 bytes" },
+        });
+
+        const chunks = ['{"name":"', "Ada".repeat(10), '","team":"core"}'];
+        const streamed = await request("/limited", {
+          method: "POST",
+          body: new ReadableStream({
+            pull(controller) {
+              if (chunks.length) controller.enqueue(new TextEncoder().encode(chunks.shift()));
+              else controller.close();
+            },
+          }),
+          duplex: "half",
+        });
+        expect(streamed).toEqual({ status: 413, body: { error: "Request body exceeds 32 bytes" } });
+
+        // onError results are sent as the response
+        expect(await post("/delete", { id: "1" })).toEqual({
+          status: 200,
+          body: { deleted: false },
+        });
+        expect(await request("/noop")).toEqual({ status: 204, body: undefined });
+
+        // argument errors of the functions called by the implementation are server errors
+        expect(await request("/nested")).toEqual({
+          status: 500,
+          body: { error: "Internal Server Error" },
+        });
+        expect(await request("/unnamed?id=abc")).toEqual({
+          status: 500,
+          body: { error: "Internal Server Error" },
+        });
+        expect(await request("/unnamed")).toMatchObject({
+          status: 400,
+          body: { issues: [expect.objectContaining({ paramName: "id" })] },
+        });
+
+        // errors thrown by onValidationError for argument failures are argument errors too
+        expect(await request("/teams?name=a")).toEqual({
+          status: 400,
+          body: { error: "Invalid team: Too small: expected string to have >=2 characters" },
+        });
+        expect(await request("/teams?name=core")).toEqual({ status: 200, body: "core" });
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+
+      expect(() => zfn.toHandler()).toThrow("Handler function not provided");
+      expect(() => zfn.toHandler(() => {})).toThrow("Handler function must be a zodfn function");
+      expect(() => zfn.toHandler(noop, { args: 1 })).toThrow(
+        "Handler args option must be a function",
+      );
+      expect(() => zfn.toHandler(noop, { args: () => [], maxBodySize: 0 })).toThrow(
+        "Handler maxBodySize option must be a positive number of bytes",
+      );
+      expect(() => zfn.toHandler(noop)).toThrow(
+        "Handler arguments need parameter names, set with zfn.name()",
+      );
+    });
+
+    test("safe", async function () {
+      const fn = zfn
+        .args(z4.number())
+        .returns(z4.number())
+        .createAsync(async (a) => {
+          if (a < 0) throw new Error("Negative number");
+          return a * 2;
+        });
+
+      expect(await fn.safe(2)).toEqual({ success: true, data: 4 });
+
+      let result = await fn.safe("2");
+      expect(result.success).toBe(false);
+      expect(result.error.kind).toBe("argument");
+
+      result = await fn.safe(-1);
+      expect(result.success).toBe(false);
+      expect(result.error.message).toBe("Negative number");
+    });
+
+    test("structured errors", async function () {
+      const fn = zfn
+        .args(z4.string(), z4.array(z4.number()))
+        .returns(z4.string())
+        .createAsync((a) => a);
+
+      let error;
+
+      try {
+        await fn("a", [1, "2", "3", "4"]);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error instanceof ZodFnError).toBe(true);
+      expect(error.kind).toBe("argument");
+      expect(error.position).toBe(2);
+      expect(error.issues.length).toBe(3);
+      expect(error.issues[2].path).toEqual([3]);
+      expect(error.message).toBe(
+        "Validation failed for 2nd argument - Path: 1 - Invalid input: expected number, received string (and 2 more issues)",
+      );
+
+      fn.mock(() => 1);
+
+      try {
+        await fn("a", [1]);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.kind).toBe("return");
+      expect(error.issues[0].code).toBe("invalid_type");
+      expect(error.zodError.issues).toEqual(expect.any(Array));
+    });
+
     test("errors", async function () {
       expect(() => zfn.createAsync()).toThrow("Create function not provided");
       expect(() => zfn.createAsync(1)).toThrow("Create argument must be a function");
@@ -1,7 +1,8 @@
+import http from "node:http";
 import { z as z3 } from "zod/v3";
 import { z as z4 } from "zod/v4";
 import { z as z4mini } from "zod/v4-mini";
-import { zfn, ZodFnError, InferArgs, InferReturns } from "..";
+import { zfn, ZodFnError, ZodFnTimeoutError, InferArgs, InferReturns, ZodFunction } from "..";
 
 describe("zodfn", function () {
   test("ts check", async function () {
@@ -188,5 +189,258 @@ describe("zodfn", function () {
       .createAsync(async (a) => Number(a));
 
     expect(await fn23(3)).toBe("transformed: 3");
+
+    const fn24 = zfn
+      .args(z4.string())
+      .rest(z4.number())
+      .returns(z4.string())
+      .create((label, ...nums) => `${label}: ${nums.reduce((a, b) => a + b, 0)}`);
+
+    expect(fn24("sum", 1, 2, 3)).toBe("sum: 6");
+
+    const fn25: InferArgs<typeof fn24> = ["sum", 1, 2];
+    const fn26 = zfn.rest(z3.string()).createAsync((...parts) => parts.join(" "));
+
+    expect(await fn26("a", "b")).toBe("a b");
+
+    const fn27: InferArgs<typeof fn26> = ["a", "b", "c"];
+
+    const fn28 = fn19.safe(1);
+
+    if (fn28.success) {
+      const data: string = fn28.data;
+      expect(data).toBe("val: 1");
+    }
+
+    const fn29 = await fn26.safe("a");
+
+    if (!fn29.success) {
+      expect(fn29.error).toBeInstanceOf(ZodFnError);
+    }
+
+    class Greeter {
+      prefix = "Hello";
+
+      @(zfn.args(z4.string()).returns(z4.string()).method())
+      greet(name: string) {
+        return `${this.prefix}, ${name}!`;
+      }
+
+      @(zfn.args(z4.number()).methodAsync())
+      async double(num: number) {
+        return num * 2;
+      }
+    }
+
+    const greeter = new Greeter();
+
+    expect(greeter.greet("Alice")).toBe("Hello, Alice!");
+    expect(() => (greeter.greet as (name: unknown) => string)(1)).toThrow(
+      "Validation failed for 1st argument of greet - Invalid input: expected string, received number",
+    );
+    expect(await greeter.double(2)).toBe(4);
+
+    const greet = zfn.getMethod(Greeter.prototype, "greet");
+
+    greet.mock(function (this: Greeter, name: string) {
+      return `${this.prefix} from mock, ${name}!`;
+    });
+
+    expect(greeter.greet("Bob")).toBe("Hello from mock, Bob!");
+    greet.resetMock();
+
+    const double = zfn.getMethodAsync(Greeter.prototype, "double").mockResolvedValue(0);
+
+    expect(await greeter.double(2)).toBe(0);
+    double.resetMock();
+
+    fn19.mockOnce((a) => `once: ${a}`).mockReturnOnce("twice");
+    expect(fn19(1)).toBe("once: 1");
+    expect(fn19(1)).toBe("twice");
+
+    fn22.mockResolvedOnce("resolved").mockRejectedOnce(new Error("rejected"));
+    expect(await fn22(1)).toBe("resolved");
+    expect(await fn22(1)).toBe("handled error");
+
+    const fn32 = zfn
+      .name("double", ["num"])
+      .args(z4.number())
+      .create((num) => num * 2);
+
+    expect(fn32.name).toBe("double");
+
+    try {
+      (fn32 as (num: unknown) => number)("1");
+    } catch (err) {
+      expect(err instanceof ZodFnError && err.paramName).toBe("num");
+    }
+
+    const fn33 = zfn
+      .params(z4.object({ userId: z4.string(), count: z4.number().optional() }))
+      .returns(z4.string())
+      .create(({ userId, count }) => `${userId}: ${count ?? 0}`);
+
+    expect(fn33({ userId: "a", count: 2 })).toBe("a: 2");
+
+    const fn34: InferArgs<typeof fn33> = [{ userId: "b" }];
+    const fn35 = zfn.toPositional(fn33, ["userId", "count"]);
+
+    expect(fn35("c", 3)).toBe("c: 3");
+
+    const fn36 = zfn.toNamed(fn1, ["num", "obj"]);
+
+    expect(fn36({ num: 1, obj: { a: { b: 2 } } })).toBe(3);
+
+    const fn37 = zfn
+      .args(z4.array(z4.number()), zfn.args(z4.number()).returns(z4.string()))
+      .create((nums, format) => nums.map((num) => format(num)));
+
+    expect(fn37([1, 2], (num) => `#${num}`)).toEqual(["#1", "#2"]);
+
+    const fn38 = zfn
+      .args(z4.number())
+      .validation("warn", { onWarn: (error) => error.issues })
+      .create((num) => num);
+
+    expect(fn38(1)).toBe(1);
+
+    const fn39 = zfn
+      .args(z4.number())
+      .returns(z4.number())
+      .timeout(1000)
+      .createAsync(async (num, signal?: AbortSignal) => (signal?.aborted ? 0 : num));
+
+    expect(await fn39.withSignal(new AbortController().signal)(2)).toBe(2);
+
+    const fn40: ZodFnError = new ZodFnTimeoutError("Call timed out after 5ms", { timeout: 5 });
+
+    expect(fn40).toBeInstanceOf(ZodFnTimeoutError);
+
+    const timeoutName: "ZodFnTimeoutError" = new ZodFnTimeoutError("Call timed out").name;
+    const errorName: string = fn40.name;
+
+    expect([timeoutName, errorName]).toEqual(["ZodFnTimeoutError", "ZodFnTimeoutError"]);
+
+    const fn41 = fn39.retry({
+      attempts: 2,
+      backoff: (attempt) => attempt * 10,
+      retryIf: (error) => error instanceof ZodFnTimeoutError,
+    });
+
+    expect(await fn41(4)).toBe(4);
+
+    const fn42 = zfn
+      .args(z4.string(), z4.number())
+      .create((str, num) => str.repeat(num))
+      .memoize({ key: (str, num) => `${str}:${num}`, ttl: 1000, max: 10 });
+
+    expect(fn42("a", 2)).toBe("aa");
+    expect(fn42.cache.delete("a", 2)).toBe(true);
+    expect(fn42.cache.size).toBe(0);
+
+    const fn43 = zfn
+      .args(z4.number())
+      .returns(z4.string())
+      .use((ctx, next) => {
+        const num: number = ctx.args[0];
+        if (num < 0) ctx.result = "negative";
+        else next();
+      })
+      .create((num) => `${num}`);
+
+    expect(fn43(-1)).toBe("negative");
+
+    const fn44 = fn39
+      .beforeValidate((args) => args.map(Number))
+      .afterArgs(async (args) => [args[0] + 1])
+      .onValidationError((error) => (error.kind === "argument" ? 400 : 500));
+
+    expect(await fn44(1)).toBe(2);
+
+    const fn45 = zfn.toJSONSchema(zfn.args(z3.string(), z4mini.number()));
+    const fn46 = zfn.toOpenAPI(fn33, { summary: "Format a user" });
+
+    expect(fn45.parameters.prefixItems).toEqual([{ type: "string" }, { type: "number" }]);
+    expect(fn46.requestBody.content["application/json"].schema.type).toBe("object");
+
+    const fn47 = zfn.contract({
+      getUser: zfn.args(z4.number()).returns(z4.object({ id: z4.number() })),
+      countUsers: zfn.returns(z3.number()),
+    });
+    const fn48 = fn47.implement({ getUser: (id) => ({ id }), countUsers: () => 1 });
+    const fn49 = fn47.implementAsync({ getUser: async (id) => ({ id }), countUsers: () => 1 });
+
+    const fn50: { id: number } = fn48.getUser(1);
+    const fn51: number = await fn49.countUsers();
+
+    fn48.mock({ getUser: (id) => ({ id: id + 1 }) });
+    expect(fn50).toEqual({ id: 1 });
+    expect(fn51).toBe(1);
+    expect(fn48.reset().getUser(1)).toEqual({ id: 1 });
+
+    const fn52 = zfn
+      .args(z4.number())
+      .yields(z4.string(), z3.number())
+      .create(function* (count) {
+        for (let i = 0; i < count; i++) yield `${i}`;
+        return count;
+      });
+    const fn53 = zfn.yields(z4mini.number()).createAsync(async function* () {
+      yield 1;
+    });
+
+    const fn54: string[] = [...fn52(2)];
+    const fn55: number[] = [];
+
+    for await (const num of await fn53()) fn55.push(num);
+
+    expect(fn54).toEqual(["0", "1"]);
+    expect(fn55).toEqual([1]);
+
+    const fn56 = zfn.validateStream(
+      new ReadableStream({
+        start(controller) {
+          controller.enqueue({ id: 1 });
+          controller.close();
+        },
+      }),
+      z4.object({ id: z4.number() }),
+      { name: "rows", onInvalid: (error) => error.index },
+    );
+    const fn57: { id: number }[] = [];
+
+    for await (const row of fn56) fn57.push(row);
+
+    const fn58 = zfn.toTransformStream(z3.string(), { onInvalid: "drop" });
+    const fn59 = zfn.toNodeTransform(z4mini.number());
+
+    expect(fn57).toEqual([{ id: 1 }]);
+    expect(fn58.readable).toBeInstanceOf(ReadableStream);
+    expect(fn59.writableObjectMode).toBe(true);
+
+    const fn60 = zfn.toHandler(fn0, {
+      args: (req) => [Number(req.params?.id), { a: { b: Number(req.query?.b) } }],
+    });
+    const fn61: (req: http.IncomingMessage, res: http.ServerResponse) => Promise<void> =
+      zfn.toHandler(
+        zfn.params(z4.object({ id: z4.coerce.number() })).createAsync(async ({ id }) => id),
+      );
+
+    expect(fn60).toBeInstanceOf(Function);
+    expect(fn61).toBeInstanceOf(Function);
+
+    fn19.register("ts").mock(() => "registered");
+    zfn.resetAllMocks("ts").restoreAll("ts");
+    expect(fn19(1)).toBe("val: 1");
+    fn19.unregister();
+
+    fn19.record();
+    fn19(13);
+
+    const fn30: InferArgs<typeof fn19> | undefined = fn19.lastCall?.args;
+    const fn31: string | undefined = fn19.calls[0].result;
+
+    expect(fn30).toEqual([13]);
+    expect(fn31).toBe("val: 13");
   });
 });
@@ -0,0 +1,218 @@
+const { z: z3 } = require("zod/v3");
+const { z: z4 } = require("zod/v4");
+const { z: z4mini } = require("zod/v4-mini");
+const { zfn, ZodFnError } = require("..");
+const { fuzz, ZodFnFuzzError } = require("../testing");
+
+describe("zodfn/testing", function () {
+  describe("fuzz", function () {
+    test("generated arguments", async function () {
+      const Category = z4.object({
+        name: z4.string(),
+        get children() {
+          return z4.array(Category).max(2);
+        },
+      });
+
+      const received = [];
+      const fn = zfn
+        .args(
+          z4.object({
+            id: z4.uuid(),
+            email: z4.email(),
+            url: z4.url(),
+            createdAt: z4.iso.datetime(),
+            day: z4.iso.date(),
+            time: z4.iso.time({ precision: 0 }),
+            ip: z4.ipv4(),
+            age: z4.int().min(18).max(99),
+            score: z4.number().gt(0).lt(1),
+            step: z4.number().multipleOf(5).min(2000),
+            debt: z4.number().max(-5000),
+            tags: z4
+              .array(z4.enum(["a", "b"]))
+              .min(1)
+              .max(3),
+            role: z4.literal("admin").or(z4.literal("user")),
+            note: z4.string().min(2).max(4).nullable().optional(),
+            pair: z4.tuple([z4.boolean(), z4.null()]),
+            scores: z4.record(z4.string(), z4.number()),
+            meta: z4.intersection(z4.object({ a: z4.number() }), z4.object({ b: z4.string() })),
+            extra: z4.unknown(),
+          }),
+          z3
+            .object({
+              id: z3.string().uuid(),
+              url: z3.string().url(),
+              count: z3.number().int().negative(),
+            })
+            .strict(),
+          z4mini.array(z4mini.string()),
+          z4.object({ root: Category }),
+          z4.date(),
+          z3.date().optional(),
+        )
+        .returns(z4.number())
+        .create((...args) => {
+          received.push(args);
+          return args.length;
+        });
+
+      const report = await fuzz(fn, { runs: 50, seed: 42 });
+
+      expect(report).toEqual({ seed: 42, runs: 50, discarded: 0 });
+      expect(received).toHaveLength(50);
+      expect(received.some((args) => args[5] === undefined)).toBe(true);
+      expect(received.every((args) => args[4] instanceof Date)).toBe(true);
+      expect(received.every(([obj]) => obj.age >= 18 && obj.step % 5 === 0)).toBe(true);
+
+      // the same seed generates the same arguments
+      const firstRun = [...received];
+
+      received.length = 0;
+      await fuzz(fn, { runs: 50, seed: 42 });
+      expect(received).toEqual(firstRun);
+
+      const report2 = await fuzz(fn, { runs: 5 });
+      expect(Number.isInteger(report2.seed)).toBe(true);
+      expect(received).toHaveLength(55);
+
+      // dates and bigints are generated wherever they are, within their bounds
+      const ranges = [];
+      const range = zfn
+        .args(
+          z4.object({ from: z4.date(), to: z4.date().min(new Date(5e12)).nullable() }),
+          z4.bigint(),
+          z3.object({ min: z3.bigint().gt(10n), until: z3.date().max(new Date(0)).optional() }),
+        )
+        .returns(z4.number())
+        .create((dates, big, bounded) => {
+          ranges.push([dates, big, bounded]);
+          return 1;
+        });
+
+      expect(await fuzz(range, { runs: 20, seed: 1 })).toEqual({ seed: 1, runs: 20, discarded: 0 });
+      expect(ranges.every(([dates]) => dates.from instanceof Date)).toBe(true);
+      expect(ranges.some(([dates]) => dates.to?.getTime() >= 5e12)).toBe(true);
+      expect(ranges.every(([, big]) => typeof big === "bigint")).toBe(true);
+      expect(ranges.every(([, , { min }]) => min > 10n)).toBe(true);
+
+      // recursive arguments refer to themselves in the parameters tuple
+      const tree = zfn.args(Category).create((category) => category.children.length);
+      expect(await fuzz(tree, { runs: 20, seed: 1 })).toEqual({ seed: 1, runs: 20, discarded: 0 });
+    });
+
+    test("failures", async function () {
+      const half = zfn
+        .name("half")
+        .args(z4.int(), z4.array(z4.string()))
+        .returns(z4.int())
+        .create((num, arr) => (arr.length > 2 ? `${num}` : Math.floor(num / 2)));
+
+      const error = await fuzz(half, { seed: 7 }).catch((error) => error);
+
+      expect(error).toBeInstanceOf(ZodFnFuzzError);
+      expect(error).toBeInstanceOf(ZodFnError);
+      expect(error.name).toBe("ZodFnFuzzError");
+      expect(error.functionName).toBe("half");
+      expect(error.seed).toBe(7);
+      expect(error.args).toEqual([0, ["", "", ""]]);
+      expect(error.originalArgs[1].length).toBeGreaterThan(2);
+      expect(error.shrinks).toBeGreaterThan(0);
+      expect(error.cause.kind).toBe("return");
+      expect(error.message).toBe(
+        `Fuzzing of half failed on run ${error.run} (seed 7) with arguments [ 0, [ '', '', '' ] ]` +
+          " - Validation failed for return value of half - Invalid input: expected number, received string",
+      );
+
+      // unexpected errors, even when validation is off
+      const sqrt = zfn
+        .params(z3.object({ n: z3.number().int().positive(), label: z3.string().optional() }))
+        .returns(z3.number())
+        .validation("off")
+        .create(({ n }) => {
+          if (n > 500) throw new Error("Too big");
+          return n > 400 ? "NaN" : Math.sqrt(n);
+        });
+
+      await expect(fuzz(sqrt, { seed: 3 })).rejects.toThrow(
+        "Fuzzing failed on run 2 (seed 3) with arguments [ { n: 401 } ] - Validation failed for return value",
+      );
+
+      await expect(
+        fuzz(sqrt, {
+          seed: 3,
+          maxShrinks: 0,
+          isExpectedError: (error, [params]) => params.n > 400,
+        }),
+      ).resolves.toEqual({ seed: 3, runs: 100, discarded: 0 });
+
+      const thrower = zfn.args(z4.boolean()).create(() => {
+        throw "Not an error";
+      });
+
+      await expect(fuzz(thrower, { seed: 1 })).rejects.toThrow(
+        "Fuzzing failed on run 1 (seed 1) with arguments [ false ] - Not an error",
+      );
+
+      // arguments that can't be generated are discarded
+      const pattern = zfn.args(z4.string().regex(/^a+$/)).create(() => {});
+
+      await expect(fuzz(pattern, { runs: 10, seed: 1 })).rejects.toThrow(
+        "Fuzzing gave up after 101 generated arguments failed validation (seed 1)",
+      );
+    });
+
+    test("async functions and callbacks", async function () {
+      const fn = zfn
+        .name("format")
+        .args(zfn.args(z4.number()).returns(z4.string()), z4.string().optional())
+        .rest(z4.boolean())
+        .returns(z4.string().refine(async (str) => str.length > 0))
+        .createAsync(
+          async (format, prefix = "", ...flags) => `${prefix}${format(1)}${flags.length}`,
+        );
+
+      expect(await fuzz(fn, { runs: 20, seed: 5 })).toEqual({ seed: 5, runs: 20, discarded: 0 });
+
+      const callbacks = zfn
+        .args(z4.number())
+        .rest(zfn.returns(z4.enum(["x"])))
+        .create((num, ...fns) => fns.map((fn) => fn()).join("") + num);
+
+      expect(await fuzz(callbacks, { runs: 20, seed: 5 })).toEqual({
+        seed: 5,
+        runs: 20,
+        discarded: 0,
+      });
+
+      const strict = zfn
+        .args(z4.number().optional())
+        .strict()
+        .create((num) => num ?? 0);
+      expect(await fuzz(strict, { runs: 20, seed: 5 })).toEqual({
+        seed: 5,
+        runs: 20,
+        discarded: 0,
+      });
+
+      const noArgs = zfn.returns(z4.unknown()).create(() => {});
+      expect(await fuzz(noArgs, { runs: 1, seed: 5 })).toEqual({ seed: 5, runs: 1, discarded: 0 });
+    });
+
+    test("errors", async function () {
+      const fn = zfn.args(z4.number()).create((num) => num);
+
+      await expect(fuzz()).rejects.toThrow("Fuzz target not provided");
+      await expect(fuzz(() => {})).rejects.toThrow("Fuzz target must be a zodfn function");
+      await expect(fuzz(fn, { runs: 0 })).rejects.toThrow("Fuzz runs must be a positive integer");
+      await expect(fuzz(fn, { seed: 1.5 })).rejects.toThrow("Fuzz seed must be an integer");
+      await expect(fuzz(fn, { maxShrinks: -1 })).rejects.toThrow(
+        "Fuzz maxShrinks must be a non-negative integer",
+      );
+      await expect(fuzz(fn, { isExpectedError: 1 })).rejects.toThrow(
+        "Fuzz isExpectedError must be a function",
+      );
+    });
+  });
+});
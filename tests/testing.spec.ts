@@ -0,0 +1,30 @@
+import { z as z4 } from "zod/v4";
+import { zfn } from "..";
+import { fuzz, ZodFnFuzzError, ZodFnFuzzReport } from "../testing";
+
+describe("zodfn/testing", function () {
+  test("ts check", async function () {
+    const fn0 = zfn
+      .args(z4.number(), z4.string())
+      .returns(z4.string())
+      .create((num, str) => `${str}${num}`);
+
+    const fn1: ZodFnFuzzReport = await fuzz(fn0, {
+      runs: 10,
+      seed: 1,
+      isExpectedError: (_error, [num, str]) => num > 0 && str.length > 0,
+    });
+
+    expect(fn1).toEqual({ seed: 1, runs: 10, discarded: 0 });
+
+    const fn2 = zfn
+      .args(z4.number())
+      .returns(z4.number().nonnegative())
+      .createAsync(async (num) => (num > 0 ? num : num - 1));
+
+    const fn3 = await fuzz(fn2, { seed: 1 }).catch((error: ZodFnFuzzError) => error);
+
+    expect(fn3).toBeInstanceOf(ZodFnFuzzError);
+    expect((fn3 as ZodFnFuzzError).args).toEqual([0]);
+  });
+});